@@ -0,0 +1,144 @@
+/* eventSchema.js – the versioned schema of /events, shared by the relay
+   (require('../js/eventSchema')) and the display (window.EventSchema).
+
+   Every event is { v, type, timestamp, ...fields } where type is one of:
+     drop   – balls for a viewer (chat command, audience trigger, dev spawn)
+     gift   – balls for a viewer's gift, with the gift details
+     redeem – a reward redemption to animate
+     admin  – an admin action (leaderboard reset, spawn toggle)
+     system – a relay notice
+   Events written before versioning have no `v` and count as version 1; they
+   are upgraded step by step through UPGRADES. When the schema changes, bump
+   VERSION and add an upgrade from the previous version. */
+(function(root, factory){
+  if(typeof module==='object' && module.exports) module.exports=factory();
+  else root.EventSchema=factory();
+})(typeof self!=='undefined' ? self : this, function(){
+  'use strict';
+
+  const VERSION = 2;
+  const EVENT_TYPES = ['drop','gift','redeem','admin','system'];
+
+  const rule = (expect, test) => ({ expect, test });
+  const opt = (r, def) => ({ ...r, optional:true, def });
+  const str = max => rule(`a string of at most ${max} characters`, v => typeof v==='string' && v.length<=max);
+  const int = (min, max) => rule(`an integer from ${min} to ${max}`, v => Number.isInteger(v) && v>=min && v<=max);
+  const id = rule('an id (letters, digits, - or _)', v => typeof v==='string' && /^[A-Za-z0-9_-]{1,64}$/.test(v));
+  const slug = rule('lower-case letters, digits or -', v => typeof v==='string' && /^[a-z0-9-]{1,32}$/.test(v));
+  const bool = rule('a boolean', v => typeof v==='boolean');
+  const amount = rule('a number >= 0', v => typeof v==='number' && Number.isFinite(v) && v>=0);
+  const object = rule('an object', v => !!v && typeof v==='object' && !Array.isArray(v));
+  const oneOf = list => rule(`one of ${list.join(', ')}`, v => list.includes(v));
+  // A number, or the database's server-time placeholder when the relay writes.
+  const timestamp = rule('a time in ms', v => (typeof v==='number' && v>=0) || (!!v && v['.sv']==='timestamp'));
+  const combo = rule('{ count, units, final }', v => !!v && Number.isInteger(v.count) && v.count>=1
+    && Number.isInteger(v.units) && v.units>=0 && typeof v.final==='boolean');
+
+  const COMMON = { timestamp: opt(timestamp) };
+  const VIEWER = { username: str(100), avatarUrl: opt(str(2048), '') };
+  // trigger: the audience event behind a drop (server/triggers.js);
+  // multiplier: scales the points its balls score.
+  const TRIGGERS = ['like','follow','share','member','subscribe'];
+  const multiplier = rule('a number from 1 to 10', v => typeof v==='number' && v>=1 && v<=10);
+  const DROP = {
+    ...VIEWER, dropId: opt(id), balls: int(1, 100), command: opt(str(200)),
+    trigger: opt(oneOf(TRIGGERS)), multiplier: opt(multiplier)
+  };
+
+  const SCHEMAS = {
+    drop: DROP,
+    gift: {
+      ...DROP,
+      giftId: opt(str(64), null),
+      giftName: str(100),
+      diamonds: amount,
+      combo
+    },
+    redeem: {
+      ...VIEWER,
+      tier: rule('a tier (t1, t2, ...)', v => typeof v==='string' && /^t[1-9]$/.test(v)),
+      redemptionId: opt(id),
+      charged: opt(bool, false),
+      command: opt(str(200))
+    },
+    admin: { action: slug, detail: opt(object) },
+    system: { code: slug, level: opt(oneOf(['info','warn','error']), 'info'), message: opt(str(500)) }
+  };
+
+  // v1: loose objects told apart by `command` ("!drop", "redeem:t1",
+  // "gift:Rose:1") or gift fields under any of several names.
+  function fromV1(e){
+    const command=String(e.command||'').toLowerCase();
+    const base={ v:2, username:e.username, avatarUrl:e.avatarUrl, timestamp:e.timestamp };
+    if(command.startsWith('redeem:')){
+      return { ...base, type:'redeem', tier:command.split(':')[1], redemptionId:e.redemptionId, charged:e.charged===true, command:e.command };
+    }
+    const giftName=e.giftName ?? e.gift ?? e.gift_type ?? e.giftType ?? e.itemName ?? e.name;
+    if(e.type==='gift' || command.startsWith('gift:') || giftName!==undefined){
+      const [, nameFromCommand, diamondsFromCommand]=String(e.command||'').split(':');
+      const diamonds=Number(e.diamonds ?? e.diamondCount ?? e.giftCoins ?? e.coins ?? diamondsFromCommand) || 0;
+      const count=Number(e.repeatCount) || 1;
+      return {
+        ...base, type:'gift', dropId:e.dropId, balls:e.balls || 1, command:e.command,
+        giftId:e.giftId==null ? null : String(e.giftId),
+        giftName:String(giftName ?? nameFromCommand ?? 'Gift'),
+        diamonds,
+        combo:e.combo || { count, units:1, final:true }
+      };
+    }
+    if(command.includes('drop')){
+      return { ...base, type:'drop', dropId:e.dropId, balls:e.balls || 1, command:e.command };
+    }
+    return null;
+  }
+
+  const UPGRADES = { 1: fromV1 };
+
+  function versionOf(evt){
+    return Number.isInteger(evt.v) ? evt.v : 1;
+  }
+
+  // -> { ok:true, event } with only schema fields (defaults filled in), or
+  //    { ok:false, errors:[...] }. Expects a current-version event.
+  function validateEvent(evt){
+    if(!evt || typeof evt!=='object' || Array.isArray(evt)) return { ok:false, errors:['event must be an object'] };
+    if(evt.v!==VERSION) return { ok:false, errors:[`v must be ${VERSION}`] };
+    const fields=SCHEMAS[evt.type];
+    if(!fields) return { ok:false, errors:[`type must be one of ${EVENT_TYPES.join(', ')}`] };
+    const errors=[];
+    const event={ v:VERSION, type:evt.type };
+    for(const [name, r] of Object.entries({ ...COMMON, ...fields })){
+      const value=evt[name];
+      if(value===undefined || (value===null && r.optional)){
+        if(!r.optional) errors.push(`${name} is required`);
+        else if(r.def!==undefined) event[name]=r.def;
+      }else if(!r.test(value)) errors.push(`${name} must be ${r.expect}`);
+      else event[name]=value;
+    }
+    return errors.length ? { ok:false, errors } : { ok:true, event };
+  }
+
+  // Upgrades an event of any known version to VERSION; null if it can't be.
+  function upgradeEvent(evt){
+    let e=evt;
+    let v=versionOf(e);
+    while(e && v<VERSION){
+      e=UPGRADES[v] ? UPGRADES[v](e) : null;
+      v=e ? versionOf(e) : v;
+    }
+    return e;
+  }
+
+  // Upgrade + validate: what both ends run on every event.
+  function parseEvent(evt){
+    if(!evt || typeof evt!=='object' || Array.isArray(evt)) return { ok:false, errors:['event must be an object'] };
+    const from=versionOf(evt);
+    if(from>VERSION) return { ok:false, errors:[`version ${from} is newer than ${VERSION}`] };
+    const upgraded=upgradeEvent(evt);
+    if(!upgraded) return { ok:false, errors:[`unrecognised version ${from} event`] };
+    const result=validateEvent(upgraded);
+    return from<VERSION && result.ok ? { ...result, upgradedFrom:from } : result;
+  }
+
+  return { VERSION, EVENT_TYPES, TRIGGERS, SCHEMAS, validateEvent, upgradeEvent, parseEvent };
+});
@@ -1,17 +1,35 @@
-const dbBase = (window.PLINKO_DB_URL || 'https://plinkoo-82abc-default-rtdb.firebaseio.com').replace(/\/+$/,'');
-const listeners = [];
-const valueListeners = [];
-let eventPollTimer = null;
-let lastEventKey = null;
-
-function encodePath(p){ return p.replace(/^\//,'') + '.json'; }
-function authParam(){
-  const tok = localStorage.getItem('adminToken') || '';
-  return tok ? `?auth=${encodeURIComponent(tok)}` : '';
-}
+// Database URL: ?db=<url> (saved for next time), the one saved in settings, or
+// Firebase. Point it at the local stand-in (server/localDb.js) to run offline.
+const DEFAULT_DB_URL = window.PLINKO_DB_URL || 'https://plinkoo-82abc-default-rtdb.firebaseio.com';
+const dbParam = new URLSearchParams(location.search).get('db');
+if(dbParam) localStorage.setItem('plk_db_url', dbParam);
+const dbBase = (localStorage.getItem('plk_db_url') || DEFAULT_DB_URL).replace(/\/+$/,'');
+// Room (server/rooms.js): ?room=<id> shows that room, whose data lives under
+// /rooms/<id> in the database and the relay; without it, the default room.
+const ROOM = (new URLSearchParams(location.search).get('room') || '').trim().toLowerCase();
+const roomPrefix = ROOM ? `/rooms/${encodeURIComponent(ROOM)}` : '';
+
+const CHILD_BACKLOG = 100;     // children sent on a first connect (limitToLast)
+const MAX_RETRY_MS = 30000;
+const STREAM_FAILURES = 3;     // failed connects before a path falls back to polling
+const POLL_MS = 2500;
+
+const subscriptions = [];      // one per path and kind, see subscribe()
+const childSubs = {};          // path -> child subscription
+const valueSubs = {};          // path -> value subscription
+// Relay push channel (server/stream.js). While it is open it feeds these
+// paths and their database streams are closed.
+const RELAY_PATHS = ['/events','/leaderboard','/config','/schedule'];
+let relaySource = null;
+let relayOpen = false;
+
+// Public paths only: admin credentials go to the relay, never to the database.
+function encodePath(p){ return (roomPrefix + p).replace(/^\//,'') + '.json'; }
+const splitPath = p => String(p||'').split('/').filter(Boolean);
+const qs = params => '?' + Object.entries(params).map(([k,v])=>`${k}=${encodeURIComponent(JSON.stringify(v))}`).join('&');
 
 async function push(path,obj){
-  const url = `${dbBase}/${encodePath(path)}${authParam()}`;
+  const url = `${dbBase}/${encodePath(path)}`;
   const res = await fetch(url,{method:'POST',body:JSON.stringify(obj)});
   if(!res.ok){
     console.warn('Firebase push failed', res.status);
@@ -24,53 +42,205 @@ async function push(path,obj){
   return res.json();
 }
 async function update(path,obj){
-  const url = `${dbBase}/${encodePath(path)}${authParam()}`;
+  const url = `${dbBase}/${encodePath(path)}`;
   const res = await fetch(url,{method:'PATCH',body:JSON.stringify(obj)});
   if(!res.ok) throw new Error(`PATCH ${path} failed`);
   return res.json();
 }
-async function get(path){
-  const url = `${dbBase}/${encodePath(path)}${authParam()}`;
+async function get(path,query=''){
+  const url = `${dbBase}/${encodePath(path)}${query}`;
   const res = await fetch(url);
   if(!res.ok) throw new Error(`GET ${path} failed`);
   return res.json();
 }
 
-async function pollEvents(){
-  try{
-    const data = await get('/events');
-    const keys = data ? Object.keys(data).sort() : [];
-    for(const k of keys){
-      if(!lastEventKey || k > lastEventKey){
-        lastEventKey = k;
-        const obj = data[k];
-        listeners.forEach(l=>l(k,obj));
-      }
+// Writes `data` at `parts` below `root` without touching the original;
+// nulls remove, as in the database.
+function setAt(root,parts,data){
+  if(!parts.length) return data===undefined ? null : data;
+  const out = root && typeof root==='object' ? { ...root } : {};
+  const [k,...rest] = parts;
+  const child = setAt(out[k],rest,data);
+  if(child===null) delete out[k]; else out[k] = child;
+  return Object.keys(out).length ? out : null;
+}
+
+/* Streaming (RTDB REST protocol): an EventSource on <path>.json receives
+   `put` and `patch` with { path, data } relative to the listened path, plus
+   `keep-alive`, `cancel` (no permission) and `auth_revoked`. Dropped
+   connections are reopened with backoff and the subscription's current
+   query, so child listeners catch up from the last key they saw. */
+function subscribe(path,sub){
+  Object.assign(sub,{ path, source:null, timer:null, pollTimer:null, retry:0, failures:0, streamed:false, cancelled:false });
+  subscriptions.push(sub);
+  syncSubscription(sub);
+  return sub;
+}
+
+function stopSubscription(sub){
+  if(sub.source) sub.source.close();
+  clearTimeout(sub.timer);
+  clearTimeout(sub.pollTimer);
+  sub.source = sub.timer = sub.pollTimer = null;
+}
+
+function syncSubscription(sub){
+  if(sub.cancelled) return;
+  if(relayOpen && RELAY_PATHS.includes(sub.path)) return stopSubscription(sub);
+  if(!sub.source && !sub.timer && !sub.pollTimer) openStream(sub);
+}
+
+function openStream(sub){
+  if(typeof EventSource==='undefined' || sub.failures>=STREAM_FAILURES) return pollSubscription(sub);
+  const es = new EventSource(`${dbBase}/${encodePath(sub.path)}${sub.query()}`);
+  sub.source = es;
+  const on = (type,fn)=>es.addEventListener(type,e=>{
+    sub.retry = 0;
+    sub.streamed = true;
+    fn(JSON.parse(e.data));
+  });
+  on('put',m=>sub.onPut(splitPath(m.path),m.data));
+  on('patch',m=>sub.onPatch(splitPath(m.path),m.data));
+  on('keep-alive',()=>{});
+  es.addEventListener('cancel',()=>{
+    console.warn(`[Firebase] stream ${sub.path} cancelled (check the database rules)`);
+    sub.cancelled = true;
+    stopSubscription(sub);
+  });
+  es.addEventListener('auth_revoked',()=>reconnect(sub));
+  es.onerror = ()=>reconnect(sub);
+}
+
+// Exponential backoff with jitter. A path that never managed to stream (old
+// browser, proxy, a relay's /db copy) polls instead.
+function reconnect(sub){
+  stopSubscription(sub);
+  if(!sub.streamed) sub.failures++;
+  const delay = Math.min(MAX_RETRY_MS, 1000 * 2 ** sub.retry++) * (0.5 + Math.random() / 2);
+  sub.timer = setTimeout(()=>{ sub.timer = null; syncSubscription(sub); },delay);
+}
+
+// Same queries as the stream, so polls are incremental too.
+function pollSubscription(sub){
+  const poll = async ()=>{
+    try { sub.onPut([],await get(sub.path,sub.query())); } catch {}
+    sub.pollTimer = setTimeout(poll,POLL_MS);
+  };
+  sub.pollTimer = setTimeout(poll,0);
+}
+
+// child_added: each child once, in key order per batch. The first connect
+// asks for the last CHILD_BACKLOG children, reconnects for those from the
+// newest key seen (startAt includes it; it is skipped as already seen).
+function childSubscription(path){
+  const seen = new Set();
+  const listeners = [];
+  let lastKey = null;
+  const add = (k,v)=>{
+    if(v===null || v===undefined || seen.has(k)) return;
+    seen.add(k);
+    if(seen.size>1000) seen.delete(seen.values().next().value);
+    if(!lastKey || k > lastKey) lastKey = k;
+    listeners.forEach(l=>l(k,v));
+  };
+  const addAll = data=>{
+    if(data && typeof data==='object') Object.keys(data).sort().forEach(k=>add(k,data[k]));
+  };
+  return subscribe(path,{
+    listeners,
+    add,
+    lastKey: ()=>lastKey,
+    query: ()=>lastKey ? qs({ orderBy:'$key', startAt:lastKey }) : qs({ orderBy:'$key', limitToLast:CHILD_BACKLOG }),
+    onPut(parts,data){
+      if(!parts.length) addAll(data);
+      else if(parts.length===1) add(parts[0],data);
+    },
+    onPatch(parts,data){
+      if(!parts.length) addAll(data);
     }
-  }catch{}
-  finally {
-    eventPollTimer = setTimeout(pollEvents,2500);
-  }
+  });
 }
 
-async function pollValues(){
-  for(const v of valueListeners){
-    try { v.cb(await get(v.path)); } catch {}
-  }
-  setTimeout(pollValues,4000);
+function valueSubscription(path){
+  const listeners = [];
+  const sub = subscribe(path,{
+    listeners,
+    value: null,
+    loaded: false,
+    set(parts,data){
+      sub.value = setAt(sub.value,parts,data);
+      sub.loaded = true;
+      listeners.forEach(cb=>cb(sub.value));
+    },
+    query: ()=>'',
+    onPut(parts,data){ sub.set(parts,data); },
+    onPatch(parts,data){
+      let value = sub.value;
+      for(const k of Object.keys(data||{})) value = setAt(value,parts.concat(splitPath(k)),data[k]);
+      sub.set([],value);
+    }
+  });
+  return sub;
+}
+
+// EventSource reconnects by itself and sends Last-Event-ID, so the relay
+// replays whatever was missed; if the browser gives up, start over later.
+function connectRelay(base){
+  if(relaySource) relaySource.close();
+  relaySource = null;
+  setRelayOpen(false);
+  if(!base || typeof EventSource==='undefined') return;
+  const lastKey = childSubs['/events'] && childSubs['/events'].lastKey();
+  const resume = lastKey ? `?lastEventId=${encodeURIComponent(lastKey)}` : '';
+  const es = new EventSource(`${base.replace(/\/+$/,'')}${roomPrefix}/stream${resume}`);
+  relaySource = es;
+  es.onopen = ()=>setRelayOpen(true);
+  es.onerror = ()=>{
+    setRelayOpen(false);
+    if(es.readyState===EventSource.CLOSED){
+      setTimeout(()=>{ if(relaySource===es) connectRelay(base); },5000);
+    }
+  };
+  es.addEventListener('event',e=>{
+    const { id, event } = JSON.parse(e.data);
+    if(childSubs['/events']) childSubs['/events'].add(id,event);
+  });
+  es.addEventListener('leaderboard',e=>{
+    const msg = JSON.parse(e.data);
+    const sub = valueSubs['/leaderboard'];
+    if(!sub) return;
+    if('full' in msg) sub.set([],msg.full||null);
+    else sub.set([msg.key],msg.entry||null);
+  });
+  es.addEventListener('config',e=>{
+    if(valueSubs['/config']) valueSubs['/config'].set([],JSON.parse(e.data));
+  });
+  es.addEventListener('schedule',e=>{
+    if(valueSubs['/schedule']) valueSubs['/schedule'].set([],JSON.parse(e.data));
+  });
+}
+
+function setRelayOpen(open){
+  if(relayOpen===open) return;
+  relayOpen = open;
+  subscriptions.forEach(syncSubscription);
 }
 
 const FirebaseREST = {
+  room: ROOM || null,
+  roomPrefix,
   push,
   update,
+  get,
+  connectRelay,
   onChildAdded(path, cb){
-    if(path !== '/events'){ console.warn('Polling only for /events'); }
-    listeners.push(cb);
-    if(!eventPollTimer) pollEvents();
+    const sub = childSubs[path] || (childSubs[path] = childSubscription(path));
+    sub.listeners.push(cb);
   },
   onValue(path, cb){
-    valueListeners.push({path,cb});
-    if(valueListeners.length===1) pollValues();
+    const sub = valueSubs[path] || (valueSubs[path] = valueSubscription(path));
+    sub.listeners.push(cb);
+    if(sub.loaded) cb(sub.value);
   }
 };
 window.FirebaseREST = FirebaseREST;
@@ -78,8 +248,9 @@ window.FirebaseREST = FirebaseREST;
 const LocalEventBus = {
   injectLocalEvent(obj){
     const id='local_'+Date.now()+'_'+Math.random().toString(36).slice(2);
-    listeners.forEach(l=>l(id,{...obj,timestamp:obj.timestamp||Date.now()}));
+    const sub=childSubs['/events'];
+    if(sub) sub.listeners.forEach(l=>l(id,{...obj,timestamp:obj.timestamp||Date.now()}));
     console.log('[LocalEventBus] injected event', id, obj);
   }
 };
-window.LocalEventBus = LocalEventBus;
\ No newline at end of file
+window.LocalEventBus = LocalEventBus;
@@ -1,10 +1,8 @@
 /* game.js – Gift Drop Fix + Prior Features
    Changes (Gift Support):
-   - Added detection of TikTok gift events even without 'command'
-   - GIFT_BALL_MAP for mapping gift names / IDs to ball counts
-   - Derives fallback ball count from coin/diamond values when name unmapped
+   - Gift events (type 'gift') come from the relay with the ball count already worked out (server/gifts.js)
    - spawnGiftBalls() handles multi spawns (still independent single spawns)
-   - Console helpers: simGift(name, count?), toggle gift debug via window.DEBUG_GIFTS = true
+   - Console helpers: simGift(name, balls?), toggle gift debug via window.DEBUG_GIFTS = true
    - Maintains: matte crates, redemption focus, draggable panels, command panel visibility, crate sound
 */
 
@@ -31,26 +29,12 @@ const { Engine, World, Bodies, Events, Body } = Matter;
   /* ================= CONFIG ================= */
   const REWARD_COSTS = { t1:1000, t2:5000, t3:10000 };
   const REWARD_NAMES = { t1:'Tier 1', t2:'Tier 2', t3:'Tier 3' };
-  const REDEEM_PREFIX = 'redeem:';
   const DEV_BYPASS_DEFAULT = true;
   const SHOW_PERF_PANEL = true;
   const ADAPTIVE_QUALITY = true;
 
-  // Gift to ball count mapping (case-insensitive keys)
-  const GIFT_BALL_MAP = {
-    'rose': 1,
-    'finger heart': 1,
-    'finger_heart': 1,
-    'gg': 2,
-    'unicorn': 5,
-    'lion': 8,
-    'castle': 12
-  };
-  // Fallback ratio if coins / diamonds present and no mapping
-  const COIN_TO_BALL_RATIO = 10; // 1 ball per 10 coins (min 1)
-
-  // Maximum balls per single gift event to prevent spam
-  const MAX_BALLS_PER_GIFT = 25;
+  // Sanity cap on balls per gift event; the relay applies the configured cap
+  const MAX_BALLS_PER_GIFT = 100;
 
   const FIXED_DT = 1000/60;
   const MAX_STEPS_BASE = 4;
@@ -102,6 +86,36 @@ const { Engine, World, Bodies, Events, Body } = Matter;
   let TOP_ROW_Y = 0;
   const startTime = Date.now();
 
+  /* Display role (?role=auto|primary|mirror) for event claiming */
+  const DISPLAY_ROLES = ['auto','primary','mirror'];
+  const DISPLAY_ROLE = (()=>{
+    const r=(new URLSearchParams(location.search).get('role')||'auto').toLowerCase();
+    return DISPLAY_ROLES.includes(r)?r:'auto';
+  })();
+  /* The relay issues a token on a display's first heartbeat; claims and
+     landings send it back. Both live per tab, so a reload stays the same
+     display. */
+  const display={
+    id:sessionStorage.getItem('plk_display_id'),
+    token:sessionStorage.getItem('plk_display_token')
+  };
+  function newDisplayId(){
+    display.id='d_'+Math.random().toString(36).slice(2,12);
+    display.token=null;
+    sessionStorage.setItem('plk_display_id',display.id);
+    sessionStorage.removeItem('plk_display_token');
+  }
+  if(!display.id) newDisplayId();
+  /* Only provisioned displays may claim and score: the heartbeat carries the
+     relay's DISPLAY_KEY (settings panel or ?displayKey=) or the admin session. */
+  const DISPLAY_KEY_KEY='plk_display_key';
+  function setDisplayKey(key){
+    const clean=String(key||'').trim();
+    if(clean) localStorage.setItem(DISPLAY_KEY_KEY,clean); else localStorage.removeItem(DISPLAY_KEY_KEY);
+  }
+  const displayKeyParam=new URLSearchParams(location.search).get('displayKey');
+  if(displayKeyParam) setDisplayKey(displayKeyParam);
+
   /* Camera offset */
   const targetCamOffset = new THREE.Vector3();
   const baseCamPos = new THREE.Vector3(0,0,100);
@@ -117,7 +131,17 @@ const { Engine, World, Bodies, Events, Body } = Matter;
   const boardTitle      = document.getElementById('board-title');
   const slotLabelsEl    = document.getElementById('slot-labels');
   const leaderboardList = document.getElementById('leaderboard-list');
+  const lbSeasonName    = document.getElementById('lb-season-name');
+  const lbTabs          = document.querySelectorAll('.lb-tab');
+  const lbArchive       = document.getElementById('lb-archive');
+  const lbSeasonSelect  = document.getElementById('lb-season-select');
+  const lbArchiveList   = document.getElementById('lb-archive-list');
   const spawnStatusEl   = document.getElementById('spawn-status');
+  const connBadge       = document.getElementById('conn-badge');
+  const scheduleBanner  = document.getElementById('schedule-banner');
+  const triggerLayer    = document.getElementById('trigger-layer');
+  const triggerSection  = document.getElementById('trigger-section');
+  const triggerList     = document.getElementById('trigger-list');
   const redeemLayer     = document.getElementById('redeem-layer');
   const devPanel        = document.getElementById('dev-panel');
   const devFreeToggle   = document.getElementById('dev-free-toggle');
@@ -135,12 +159,21 @@ const { Engine, World, Bodies, Events, Body } = Matter;
   const optParticles    = document.getElementById('opt-particles');
   const optVibrance     = document.getElementById('opt-vibrance');
   const optVolume       = document.getElementById('opt-volume');
+  const adminUserInput  = document.getElementById('admin-username');
   const adminTokenInput = document.getElementById('admin-token');
+  const adminSessionEl  = document.getElementById('admin-session');
   const backendUrlInput = document.getElementById('backend-url');
+  const dbUrlInput      = document.getElementById('db-url');
+  const displayKeyInput = document.getElementById('display-key');
   const btnSaveAdmin    = document.getElementById('btn-save-admin');
   const btnReset        = document.getElementById('btn-reset-leaderboard');
   const btnToggleSpawn  = document.getElementById('btn-toggle-spawn');
   const btnSimulate     = document.getElementById('btn-simulate');
+  const modUsername     = document.getElementById('mod-username');
+  const modMinutes      = document.getElementById('mod-minutes');
+  const modList         = document.getElementById('mod-list');
+  const modWords        = document.getElementById('mod-words');
+  const metricsList     = document.getElementById('metrics-list');
 
   /* Helpers */
   const clamp = (v,a,b) => v<a?a:v>b?b:v;
@@ -269,12 +302,49 @@ const { Engine, World, Bodies, Events, Body } = Matter;
     const clean=String(url||'').trim().replace(/\/+$/,'');
     if(clean) localStorage.setItem('backendBaseUrl',clean); else localStorage.removeItem('backendBaseUrl');
   }
+  // This display's room (js/firebase.js): room-scoped relay routes live under
+  // /rooms/<id>; sessions, moderation and metrics are relay-wide.
+  const roomPath = path => FirebaseREST.roomPrefix + path;
   function adminFetch(path,opt={}){
     const base=getBackendBaseUrl();
     if(!base) throw new Error('Backend URL not set.');
     return fetch(`${base}${path.startsWith('/')?'':'/'}${path}`,opt);
   }
 
+  /* Admin session: the password is exchanged at /auth/login for a
+     short-lived token (role owner or moderator); only the token is kept. */
+  const SESSION_KEY='plk_admin_session';
+  function getAdminSession(){
+    try{
+      const s=JSON.parse(localStorage.getItem(SESSION_KEY)||'null');
+      return s && s.expiresAt>Date.now() ? s : null;
+    }catch{ return null; }
+  }
+  function showAdminSession(){
+    const s=getAdminSession();
+    adminSessionEl.textContent=s ? `${s.username} (${s.role})` : 'no';
+  }
+  async function adminLogin(username,password){
+    const res=await adminFetch('/auth/login',postJSON({ username, password }));
+    const data=await res.json().catch(()=>({}));
+    if(!res.ok) throw new Error(data.error||`HTTP ${res.status}`);
+    localStorage.setItem(SESSION_KEY,JSON.stringify({ token:data.token, role:data.role, username:data.username, expiresAt:data.expiresAt }));
+    showAdminSession();
+    return data;
+  }
+  // Admin call with the session token; rejects with the relay's error.
+  function adminJSON(path,opt={}){
+    const session=getAdminSession();
+    if(!session) return Promise.reject(new Error('Sign in first.'));
+    const headers={ ...(opt.headers||{}), authorization:`Bearer ${session.token}` };
+    return Promise.resolve().then(()=>adminFetch(path,{ ...opt, headers })).then(async r=>{
+      const data=await r.json().catch(()=>({}));
+      if(r.status===401){ localStorage.removeItem(SESSION_KEY); showAdminSession(); }
+      if(!r.ok) throw new Error(data.error||`HTTP ${r.status}`);
+      return data;
+    });
+  }
+
   /* Settings */
   devFreeToggle.checked = (localStorage.getItem('plk_dev_free') ?? (DEV_BYPASS_DEFAULT?'true':'false'))==='true';
   devFreeToggle.addEventListener('change',()=>localStorage.setItem('plk_dev_free',devFreeToggle.checked?'true':'false'));
@@ -289,7 +359,10 @@ const { Engine, World, Bodies, Events, Body } = Matter;
     optParticles.checked=(localStorage.getItem('plk_particles') ?? 'true')==='true';
     const vol=read('plk_volume',0.5); optVolume.value=vol; setAudioVolume(vol);
     const savedBase=getBackendBaseUrl(); if(savedBase) backendUrlInput.value=savedBase;
-    const tok=localStorage.getItem('adminToken')||''; if(tok) adminTokenInput.value=tok;
+    dbUrlInput.value=localStorage.getItem('plk_db_url')||'';
+    displayKeyInput.value=localStorage.getItem(DISPLAY_KEY_KEY)||'';
+    localStorage.removeItem('adminToken'); // pre-session builds stored the raw token
+    showAdminSession();
     applySettings();
   }
   function applySettings(){
@@ -500,7 +573,7 @@ const { Engine, World, Bodies, Events, Body } = Matter;
         const idx=slot.index;
         const points=SLOT_POINTS[idx]||100;
         a.plugin.scored=true;
-        awardPoints(a.plugin.username,a.plugin.avatarUrl||'',points).catch(console.warn);
+        if(!a.plugin.mirror) awardPoints(a.plugin,idx,Math.round(points*pointsMultiplier()*(a.plugin.multiplier||1))).catch(console.warn);
         sfxScore(points>=1600);
         setTimeout(()=>tryRemoveBall(a),900);
       }
@@ -602,13 +675,16 @@ const { Engine, World, Bodies, Events, Body } = Matter;
 
   /* Spawning */
   function spawnBallSet(o){ spawnSingle(o); }
-  function spawnSingle({username,avatarUrl}){
+  function randomDropX(){
     const jitter=PEG_SPACING*0.35;
-    const dropX=Math.max(-BOARD_WIDTH/2+4,Math.min(BOARD_WIDTH/2-4,(Math.random()-0.5)*jitter));
+    return (Math.random()-0.5)*jitter;
+  }
+  function spawnSingle({username,avatarUrl,dropId=null,ball=0,x=null,mirror=false,trigger=null,multiplier=1}){
+    const dropX=Math.max(-BOARD_WIDTH/2+4,Math.min(BOARD_WIDTH/2-4,Number.isFinite(x)?x:randomDropX()));
     const dropY=TOP_ROW_Y + PEG_SPACING*0.8;
     const body=Bodies.circle(dropX,dropY,BALL_RADIUS,{restitution:BALL_RESTITUTION,friction:BALL_FRICTION,frictionAir:BALL_FRICTION_AIR,density:0.0018});
     body.label=`BALL_${username}`;
-    body.plugin={username,avatarUrl,scored:false};
+    body.plugin={username,avatarUrl,dropId,ball,mirror,multiplier,scored:false};
     World.add(world,body);
     dynamicBodies.add(body);
     Body.setVelocity(body,{x:0,y:0});
@@ -622,6 +698,11 @@ const { Engine, World, Bodies, Events, Body } = Matter;
       });
     }
     const mesh=new THREE.Mesh(sharedBallGeo,sharedBallBaseMaterial.clone());
+    // Trigger balls glow in their trigger's colour
+    if(TRIGGER_FX[trigger]){
+      mesh.material.emissive.set(TRIGGER_FX[trigger].color);
+      mesh.material.emissiveIntensity=0.45;
+    }
     scene.add(mesh);
     meshById.set(body.id,mesh);
     const sprite=buildNameSprite(body.plugin.username);
@@ -660,15 +741,19 @@ const { Engine, World, Bodies, Events, Body } = Matter;
     }catch{}
   }
 
-  /* Points */
-  async function awardPoints(username, avatarUrl, points){
+  /* Points (the relay owns /leaderboard; local totals are optimistic until it answers) */
+  async function awardPoints({username,avatarUrl='',dropId,ball=0}, slot, points){
     const current=leaderboard[username] || { username, avatarUrl, score:0 };
-    const next=current.score+points;
-    leaderboard[username]={ username, avatarUrl, score:next, lastUpdate:Date.now() };
-    refreshLeaderboard();
-    FirebaseREST.update(`/leaderboard/${encodeURIComponent(username.replace(/[.#$[\]]/g,'_'))}`, {
-      username, avatarUrl: avatarUrl||'', score: next, lastUpdate: Date.now()
-    }).catch(()=>{});
+    setPointsLocal(username, avatarUrl, current.score+points);
+    if(!dropId) return;
+    const res=await adminFetch(roomPath('/landings'),{
+      method:'POST',
+      headers:{'content-type':'application/json'},
+      body:JSON.stringify({ dropId, ball, slot, displayId:display.id, displayToken:display.token })
+    });
+    if(!res.ok) throw new Error(`Landing rejected (${res.status})`);
+    const result=await res.json();
+    setPointsLocal(username, avatarUrl, result.score);
   }
   function setPointsLocal(username, avatarUrl, score){
     leaderboard[username]={ username, avatarUrl, score, lastUpdate:Date.now() };
@@ -680,14 +765,10 @@ const { Engine, World, Bodies, Events, Body } = Matter;
     const next=current.score - points;
     leaderboard[username]={ username, avatarUrl, score: next, lastUpdate:Date.now() };
     refreshLeaderboard();
-    FirebaseREST.update(`/leaderboard/${encodeURIComponent(username.replace(/[.#$[\]]/g,'_'))}`, {
-      username, avatarUrl: avatarUrl||'', score: next, lastUpdate: Date.now()
-    }).catch(()=>{});
     return true;
   }
-  function refreshLeaderboard(){
-    const entries=Object.values(leaderboard).sort((a,b)=>b.score-a.score).slice(0,50);
-    leaderboardList.innerHTML='';
+  function renderEntries(list, entries){
+    list.innerHTML='';
     for(const e of entries){
       const li=document.createElement('li'); li.className='lb-item';
       const ava=document.createElement('div'); ava.className='lb-ava';
@@ -695,91 +776,345 @@ const { Engine, World, Bodies, Events, Body } = Matter;
       const name=document.createElement('div'); name.className='lb-name'; name.textContent='@'+(e.username||'viewer');
       const score=document.createElement('div'); score.className='lb-score'; score.textContent=e.score.toLocaleString();
       li.append(ava,name,score);
-      leaderboardList.appendChild(li);
+      list.appendChild(li);
     }
   }
+  function refreshLeaderboard(){
+    renderEntries(leaderboardList, Object.values(leaderboard).sort((a,b)=>b.score-a.score).slice(0,50));
+  }
   function clearLeaderboardLocal(){
     Object.keys(leaderboard).forEach(k=>delete leaderboard[k]);
     leaderboardList.innerHTML='';
   }
-  function handleRedeemEvent(eventId, username, avatarUrl, tier){
+
+  /* Seasons (server/seasons.js): the Live tab is /leaderboard, Past seasons
+     shows a closed season's final standings from the relay */
+  function seasonLabel(s){
+    return s.endedAt ? `${s.name} · ${new Date(s.endedAt).toLocaleDateString()}` : s.name;
+  }
+  function showArchiveMessage(text){
+    lbArchiveList.innerHTML='';
+    const li=document.createElement('li'); li.className='lb-empty'; li.textContent=text;
+    lbArchiveList.appendChild(li);
+  }
+  // Resolves to the past seasons (newest first) and shows the live one's name.
+  function loadSeasons(){
+    if(!getBackendBaseUrl()){ lbSeasonName.textContent=''; return Promise.resolve(null); }
+    return relayJSON('/seasons').then(data=>{
+      lbSeasonName.textContent=data.current ? data.current.name : '';
+      return data.seasons||[];
+    });
+  }
+  async function showSeason(number){
+    try{
+      const { standings }=await relayJSON(`/seasons/${encodeURIComponent(number)}`);
+      if(standings.length) renderEntries(lbArchiveList, standings.slice(0,50));
+      else showArchiveMessage('Nobody scored that season.');
+    }catch(e){ showArchiveMessage(`Could not load the season (${e.message}).`); }
+  }
+  async function showArchive(){
+    const previous=lbSeasonSelect.value;
+    let seasons=null;
+    try{ seasons=await loadSeasons(); }catch{}
+    lbSeasonSelect.innerHTML='';
+    lbSeasonSelect.hidden=!seasons?.length;
+    if(!seasons) return showArchiveMessage('Past seasons come from the relay; set the Backend URL.');
+    if(!seasons.length) return showArchiveMessage('No past seasons yet.');
+    for(const s of seasons){
+      const opt=document.createElement('option'); opt.value=s.number; opt.textContent=seasonLabel(s);
+      lbSeasonSelect.appendChild(opt);
+    }
+    if(seasons.some(s=>String(s.number)===previous)) lbSeasonSelect.value=previous;
+    showSeason(lbSeasonSelect.value);
+  }
+  function setLeaderboardTab(tab){
+    lbTabs.forEach(b=>b.classList.toggle('active',b.dataset.tab===tab));
+    leaderboardList.hidden=tab!=='live';
+    lbArchive.hidden=tab!=='archive';
+    if(tab==='archive') showArchive();
+  }
+  // A new season started: the board is empty and the list has one more.
+  function onSeasonClosed(){
+    clearLeaderboardLocal();
+    if(!lbArchive.hidden) showArchive();
+    else loadSeasons().catch(()=>{});
+  }
+  lbTabs.forEach(b=>b.addEventListener('click',()=>setLeaderboardTab(b.dataset.tab)));
+  lbSeasonSelect.addEventListener('change',()=>showSeason(lbSeasonSelect.value));
+  function handleRedeemEvent(eventId, username, avatarUrl, tier, charged=false){
     if(processedRedemptions.has(eventId)) return;
     processedRedemptions.add(eventId);
     const cost=REWARD_COSTS[tier];
     if(!cost) return;
-    if(devFreeToggle.checked && (leaderboard[username]?.score||0) < cost){
-      setPointsLocal(username, avatarUrl, cost);
+    // Relay redemptions are already paid for; only local/dev ones deduct here.
+    if(!charged){
+      if(devFreeToggle.checked && (leaderboard[username]?.score||0) < cost){
+        setPointsLocal(username, avatarUrl, cost);
+      }
+      if(!deductPoints(username, avatarUrl, cost)) return;
     }
-    if(!deductPoints(username, avatarUrl, cost)) return;
     enqueueRedemption(eventId, tier, username, avatarUrl);
   }
 
   /* ============ Gift Handling Logic ============ */
 
-  function resolveGiftName(obj){
-    return (obj.giftName || obj.gift || obj.gift_type || obj.giftType || obj.itemName || obj.name || '').toString();
+  // The relay resolves gifts to balls (name map, diamond ratio, cap, streak
+  // aggregation) and sends type 'gift' events with the count, giftId,
+  // giftName, diamonds and combo { count, units, final }.
+  function spawnGiftBalls(username, avatarUrl, giftObj){
+    const count=clamp(Math.floor(giftObj.balls)||1, 1, MAX_BALLS_PER_GIFT);
+    if(window.DEBUG_GIFTS) console.log('[Gift] Spawning balls:', {username, count, giftName:giftObj.giftName, diamonds:giftObj.diamonds, combo:giftObj.combo});
+    spawnDrop({ username, avatarUrl, dropId: giftObj.dropId || null, count, multiplier: giftObj.multiplier || 1 });
   }
 
-  function deriveBallCountFromGift(eventObj){
-    const rawName = resolveGiftName(eventObj).trim();
-    const key = rawName.toLowerCase();
-    if(key && GIFT_BALL_MAP[key]) return GIFT_BALL_MAP[key];
+  /* ============ Event Claiming ============
+     With a relay configured, a display claims each drop before spawning it so
+     two open pages don't both spawn (and score) the same balls. The relay
+     answers with the ball indexes to spawn; the display that loses a claim
+     retries once the owner's lease lapses, in case the owner went away.
+     Mirrors (?role=mirror) never claim: they replay the owner's drop
+     positions and never report landings. */
 
-    // Use coin / diamond based fallback:
-    const coins = eventObj.giftCoins ?? eventObj.coins ?? eventObj.coin ?? eventObj.diamondCount ?? eventObj.diamonds ?? eventObj.value;
-    if(typeof coins === 'number' && coins > 0){
-      return clamp(Math.floor(coins / COIN_TO_BALL_RATIO) || 1, 1, MAX_BALLS_PER_GIFT);
-    }
+  function relayJSON(path,opt){
+    return adminFetch(roomPath(path),opt).then(r=>r.ok?r.json():Promise.reject(new Error(`${path} ${r.status}`)));
+  }
+  function postJSON(body){
+    return { method:'POST', headers:{'content-type':'application/json'}, body:JSON.stringify(body) };
+  }
+  function spawnDropBalls(drop, balls, xs, mirror){
+    balls.forEach((ball,i)=>{
+      // Slight stagger (optional)
+      setTimeout(()=>spawnBallSet({
+        username:drop.username, avatarUrl:drop.avatarUrl,
+        dropId:mirror?null:drop.dropId, ball, x:xs[ball], mirror,
+        trigger:drop.trigger, multiplier:drop.multiplier
+      }), i*90*DROP_SPEED);
+    });
+  }
+  const ballIndexes = n => Array.from({length:n},(_,i)=>i);
 
-    // Repeat / count multipliers:
-    const repeat = eventObj.repeatCount || eventObj.count || eventObj.quantity;
-    if(typeof repeat === 'number' && repeat > 0){
-      return clamp(repeat, 1, MAX_BALLS_PER_GIFT);
+  async function claimAndSpawn(drop, attempt=0){
+    const xs=Array.from({length:drop.count},randomDropX);
+    let res;
+    try{
+      if(!display.token) await displayHeartbeat();
+      res=await relayJSON(`/events/${encodeURIComponent(drop.dropId)}/claim`, postJSON({ displayId:display.id, xs, displayToken:display.token }));
+    }catch(e){
+      console.warn('[Claim] relay unavailable, spawning unscored', e);
+      spawnDropBalls({...drop, dropId:null}, ballIndexes(drop.count), xs, false);
+      return;
     }
-
-    return 1; // default
+    if(res.granted){ spawnDropBalls(drop, res.balls, xs, false); return; }
+    if(res.reason==='claimed' && attempt<2){
+      setTimeout(()=>claimAndSpawn(drop, attempt+1), (res.retryInMs||0) + 1000 + Math.random()*1000);
+    }
+  }
+  async function mirrorDrop(drop, attempt=0){
+    try{
+      const res=await relayJSON(`/events/${encodeURIComponent(drop.dropId)}/claim`);
+      if(res.claimed){ spawnDropBalls(drop, ballIndexes(res.balls), res.xs||[], true); return; }
+    }catch{}
+    if(attempt<20) setTimeout(()=>mirrorDrop(drop, attempt+1), 500);
+  }
+  function spawnDrop(drop){
+    if(!drop.dropId || !getBackendBaseUrl()){
+      spawnDropBalls({...drop, dropId:null}, ballIndexes(drop.count), [], false);
+      return;
+    }
+    if(DISPLAY_ROLE==='mirror') mirrorDrop(drop);
+    else claimAndSpawn(drop);
+  }
+  function displayHeartbeat(){
+    const body={ displayId:display.id, role:DISPLAY_ROLE, displayToken:display.token, displayKey:localStorage.getItem(DISPLAY_KEY_KEY)||undefined };
+    const opt=postJSON(body);
+    const session=getAdminSession();
+    if(session) opt.headers.authorization=`Bearer ${session.token}`;
+    return adminFetch(roomPath('/displays/heartbeat'), opt).then(async r=>{
+      // The relay still knows this id under a token this tab lost: start over as a new display.
+      if(r.status===403 && display.token===body.displayToken){ newDisplayId(); return displayHeartbeat(); }
+      if(!r.ok) throw new Error(`/displays/heartbeat ${r.status}`);
+      const res=await r.json();
+      display.token=res.displayToken;
+      sessionStorage.setItem('plk_display_token',display.token);
+      return res;
+    });
+  }
+  function startDisplayHeartbeat(){
+    const beat=()=>{
+      if(!getBackendBaseUrl()) return;
+      displayHeartbeat().catch(()=>{});
+    };
+    beat();
+    setInterval(beat,5000);
   }
 
-  function isGiftEvent(obj){
-    if(!obj || typeof obj !== 'object') return false;
-    if(obj.type && String(obj.type).toLowerCase().includes('gift')) return true;
-    if('giftName' in obj || 'gift' in obj || 'giftId' in obj || 'giftType' in obj) return true;
-    if('giftCoins' in obj || 'coins' in obj || 'diamondCount' in obj || 'diamonds' in obj) return true;
-    // Some backends might send "event":"gift"
-    if(String(obj.event||'').toLowerCase()==='gift') return true;
-    return false;
+  /* Connection badge: the relay's TikTok state (server/sources/tiktok.js) */
+  const CONN_LABELS={ live:'LIVE', connecting:'CONNECTING', offline:'OFFLINE', backoff:'RECONNECTING', error:'ERROR', stopped:'STOPPED' };
+  function agoText(ms){
+    if(ms==null) return 'never';
+    const s=Math.round(ms/1000);
+    return s<60 ? `${s}s ago` : s<3600 ? `${Math.round(s/60)}m ago` : `${Math.round(s/3600)}h ago`;
+  }
+  function showConnection(tiktok, reachable){
+    if(!reachable){
+      connBadge.hidden=false;
+      connBadge.dataset.state='error';
+      connBadge.textContent='NO RELAY';
+      connBadge.title='The relay is not answering /health.';
+      return;
+    }
+    connBadge.hidden=!tiktok;
+    if(!tiktok) return;
+    const retry=tiktok.retryInMs!=null ? ` ${Math.ceil(tiktok.retryInMs/1000)}s` : '';
+    connBadge.dataset.state=tiktok.state;
+    connBadge.textContent=(CONN_LABELS[tiktok.state]||String(tiktok.state).toUpperCase())+(tiktok.state==='live'?'':retry);
+    connBadge.title=[
+      `@${tiktok.username}: ${tiktok.state}`,
+      tiktok.roomId ? `room ${tiktok.roomId}` : '',
+      `last event ${agoText(tiktok.sinceLastEventMs)}`,
+      tiktok.lastError ? `last error: ${tiktok.lastError}` : ''
+    ].filter(Boolean).join('\n');
+  }
+  function startConnectionBadge(){
+    const check=()=>{
+      if(!getBackendBaseUrl()){ connBadge.hidden=true; return; }
+      relayJSON('/health')
+        .then(h=>showConnection((h.sources||[]).find(s=>s.name==='tiktok'), true))
+        .catch(()=>showConnection(null, false));
+    };
+    check();
+    setInterval(check,5000);
   }
 
-  function spawnGiftBalls(username, avatarUrl, giftObj){
-    const count = deriveBallCountFromGift(giftObj);
-    if(window.DEBUG_GIFTS) console.log('[Gift] Spawning balls:', {username, count, giftObj});
-    for(let i=0;i<count;i++){
-      // Slight stagger (optional)
-      setTimeout(()=>spawnBallSet({ username, avatarUrl }), i*90*DROP_SPEED);
+  /* Schedule (server/scheduler.js): rules running now override the config's
+     spawn switch and cooldown and multiply points; the banner counts down
+     to their end, or to the next rule when it is close */
+  const SCHEDULE_SOON_MS=10*60*1000;
+  let scheduleState=null;
+  let configSpawnEnabled=false;
+  function pointsMultiplier(){ return scheduleState?.effect?.pointsMultiplier || 1; }
+  function showSpawnStatus(){
+    const scheduled=scheduleState?.effect?.spawnEnabled;
+    const enabled=typeof scheduled==='boolean' ? scheduled : configSpawnEnabled;
+    spawnStatusEl.textContent=enabled?'true':'false';
+    spawnStatusEl.style.color=enabled?'var(--good)':'var(--danger)';
+    spawnStatusEl.title=typeof scheduled==='boolean' ? 'Set by a scheduled rule; the toggle changes the config underneath.' : '';
+  }
+  function effectText(effect={}){
+    const parts=[];
+    if(effect.pointsMultiplier && effect.pointsMultiplier!==1) parts.push(`${effect.pointsMultiplier}× POINTS`);
+    if(effect.spawnEnabled===false) parts.push('DROPS PAUSED');
+    if(effect.spawnEnabled===true) parts.push('DROPS ON');
+    if(effect.cooldownMs!==undefined) parts.push(`${+(effect.cooldownMs/1000).toFixed(1)}s COOLDOWN`);
+    return parts.join(' · ');
+  }
+  function clockText(ms){
+    const s=Math.max(0,Math.ceil(ms/1000));
+    const pad=n=>String(n).padStart(2,'0');
+    return s>=3600 ? `${Math.floor(s/3600)}:${pad(Math.floor(s/60)%60)}:${pad(s%60)}` : `${Math.floor(s/60)}:${pad(s%60)}`;
+  }
+  function renderScheduleBanner(){
+    const now=Date.now();
+    const active=(scheduleState?.active||[]).filter(a=>a.endsAt>now);
+    const next=scheduleState?.next;
+    if(active.length){
+      scheduleBanner.dataset.state='active';
+      scheduleBanner.textContent=active.map(a=>`${a.name}: ${effectText(a.effect)} · ${clockText(a.endsAt-now)} left`).join('   |   ');
+    }else if(next && next.at>now && next.at-now<=SCHEDULE_SOON_MS){
+      scheduleBanner.dataset.state='soon';
+      scheduleBanner.textContent=`${next.name} (${effectText(next.effect)}) in ${clockText(next.at-now)}`;
+    }else{
+      scheduleBanner.hidden=true;
+      return;
+    }
+    scheduleBanner.hidden=false;
+  }
+  setInterval(renderScheduleBanner,1000);
+
+  /* Audience triggers (server/triggers.js): likes, follows, shares, joins and
+     subscriptions arrive as drops with a `trigger`; each gets its own toast
+     and ball colour */
+  const TRIGGER_FX={
+    like:      { icon:'❤️', color:'#ff1180', text:u=>`${triggerConfig.like?.everyLikes?`${triggerConfig.like.everyLikes.toLocaleString()} LIKES! `:'LIKES! '}Community ball for @${u}` },
+    follow:    { icon:'👋', color:'#00f2ea', text:u=>`Welcome @${u}! Thanks for the follow` },
+    share:     { icon:'🔁', color:'#5df28f', text:u=>`@${u} shared the LIVE` },
+    member:    { icon:'🚪', color:'#c9d2df', text:u=>`@${u} joined` },
+    subscribe: { icon:'⭐', color:'#f7d25c', text:(u,e)=>`@${u} subscribed!${e.multiplier>1?` ${e.multiplier}× points`:''}` }
+  };
+  const TRIGGER_TOASTS_MAX=4;
+  let triggerConfig={};
+  // The commands panel lists the enabled triggers
+  function renderTriggerList(){
+    const balls=n=>`${n} ball${n===1?'':'s'}`;
+    const bonus=r=>r.multiplier>1?` (${r.multiplier}× points)`:'';
+    const lines={
+      like:r=>`Every ${r.everyLikes.toLocaleString()} likes: ${balls(r.balls)}${bonus(r)}`,
+      follow:r=>`Follow: ${balls(r.balls)} welcome drop${bonus(r)}`,
+      share:r=>`Share the LIVE: ${balls(r.balls)}${bonus(r)}`,
+      member:r=>`Join: ${balls(r.balls)}${bonus(r)}`,
+      subscribe:r=>`Subscribe: ${balls(r.balls)}${bonus(r)}${r.subscriberMultiplier>1?`, then ${r.subscriberMultiplier}× on every drop`:''}`
+    };
+    triggerList.innerHTML='';
+    for(const [type,line] of Object.entries(lines)){
+      const rule=triggerConfig[type];
+      if(!rule?.enabled) continue;
+      const li=document.createElement('li'); li.className='cmd-line'; li.dataset.trigger=type;
+      const badge=document.createElement('span'); badge.className='cmd-badge'; badge.textContent=TRIGGER_FX[type].icon;
+      const text=document.createElement('span'); text.className='cmd-text'; text.textContent=line(rule);
+      li.append(badge,text);
+      triggerList.appendChild(li);
     }
+    triggerSection.hidden=!triggerList.children.length;
+  }
+  function showTriggerToast(trigger, username, evt){
+    const fx=TRIGGER_FX[trigger];
+    if(!fx || !triggerLayer) return;
+    const el=document.createElement('div');
+    el.className='trigger-toast';
+    el.dataset.trigger=trigger;
+    const icon=document.createElement('span'); icon.className='trigger-icon'; icon.textContent=fx.icon;
+    const text=document.createElement('span'); text.textContent=fx.text(username, evt);
+    el.append(icon,text);
+    triggerLayer.appendChild(el);
+    while(triggerLayer.children.length>TRIGGER_TOASTS_MAX) triggerLayer.firstElementChild.remove();
+    gsap.fromTo(el,{y:-16,opacity:0,scale:0.9},{y:0,opacity:1,scale:1,duration:.35,ease:'back.out(1.8)'});
+    gsap.to(el,{opacity:0,y:-10,duration:.4,delay:trigger==='subscribe'?5:3.2,onComplete:()=>el.remove()});
   }
 
   /* Listen to backend events */
   function listenToEvents(){
-    FirebaseREST.onChildAdded('/events',(id,obj)=>{
-      if(!obj || typeof obj!=='object' || processedEvents.has(id)) return;
+    FirebaseREST.onChildAdded('/events',(id,raw)=>{
+      if(processedEvents.has(id)) return;
+      // Upgrade older versions and drop anything off-schema (js/eventSchema.js)
+      const parsed=EventSchema.parseEvent(raw);
+      if(!parsed.ok){
+        console.warn('[Events] rejected', id, parsed.errors.join('; '));
+        return;
+      }
+      const obj=parsed.event;
       const ts=typeof obj.timestamp==='number'?obj.timestamp:0;
       if(ts && ts < startTime - 60_000) return;
       processedEvents.add(id);
 
-      const username=sanitize(obj.username||'viewer');
-      const avatarUrl=obj.avatarUrl||'';
-      const command=(obj.command||'').toLowerCase();
+      if(obj.type==='admin'){
+        if(obj.action==='reset-leaderboard') onSeasonClosed();
+        return;
+      }
+      if(obj.type==='system'){
+        console.log(`[Relay] ${obj.code}`, obj.message||'');
+        return;
+      }
+
+      const username=sanitize(obj.username);
+      const avatarUrl=obj.avatarUrl;
 
-      // Redemption command
-      if(command.startsWith(REDEEM_PREFIX)){
-        const tier=command.split(':')[1];
-        handleRedeemEvent(id, username, avatarUrl, tier);
+      if(obj.type==='redeem'){
+        handleRedeemEvent(id, username, avatarUrl, obj.tier, obj.charged);
         return;
       }
 
-      // Gift detection (even if no command)
-      if(isGiftEvent(obj)){
+      // Gift drop
+      if(obj.type==='gift'){
         // Check spawn enabled (unless devFreeToggle overrides)
         const spawnEnabledText = spawnStatusEl?.textContent || 'unknown';
         if(spawnEnabledText === 'false' && !devFreeToggle.checked){
@@ -790,15 +1125,20 @@ const { Engine, World, Bodies, Events, Body } = Matter;
         return;
       }
 
-      // Command-based drop
-      if(command.includes('drop') || command.startsWith('gift')){
-        spawnBallSet({ username, avatarUrl });
-      }
+      // Command-based or trigger drop
+      if(obj.trigger) showTriggerToast(obj.trigger, username, obj);
+      spawnDrop({ username, avatarUrl, dropId: obj.dropId || null, count: obj.balls, trigger: obj.trigger || null, multiplier: obj.multiplier || 1 });
     });
 
     // Leaderboard sync
+    // Entries that came from the database; they go when removed there (purge).
+    const synced=new Set();
     FirebaseREST.onValue('/leaderboard',(data)=>{
       if(data && typeof data==='object'){
+        const names=new Set(Object.values(data).map(e=>e?.username).filter(Boolean));
+        for(const name of synced) if(!names.has(name)) delete leaderboard[name];
+        synced.clear();
+        names.forEach(n=>synced.add(n));
         for(const k of Object.keys(data)){
           const entry=data[k];
             if(entry?.username){
@@ -811,15 +1151,27 @@ const { Engine, World, Bodies, Events, Body } = Matter;
           }
         }
         refreshLeaderboard();
-      } else clearLeaderboardLocal();
+      } else { synced.clear(); clearLeaderboardLocal(); }
     });
 
     // Config (spawn toggle)
     FirebaseREST.onValue('/config',(data)=>{
-      const enabled=!!(data && data.spawnEnabled);
-      spawnStatusEl.textContent=enabled?'true':'false';
-      spawnStatusEl.style.color=enabled?'var(--good)':'var(--danger)';
+      configSpawnEnabled=!!(data && data.spawnEnabled);
+      triggerConfig=(data && data.triggers) || {};
+      renderTriggerList();
+      showSpawnStatus();
     });
+
+    // Scheduled rules running now
+    FirebaseREST.onValue('/schedule',(data)=>{
+      scheduleState=data && typeof data==='object' ? data : null;
+      showSpawnStatus();
+      renderScheduleBanner();
+    });
+
+    // Live from the relay when it's reachable; the database streams cover the
+    // gaps. Connected last so its first snapshot reaches the listeners above.
+    FirebaseREST.connectRelay(getBackendBaseUrl());
   }
 
   function sanitize(u){
@@ -1078,65 +1430,139 @@ const { Engine, World, Bodies, Events, Body } = Matter;
   optVibrance.addEventListener('input', applySettings);
   optVolume.addEventListener('input', e=>setAudioVolume(Number(e.target.value)));
 
-  btnSaveAdmin.addEventListener('click',()=>{
+  btnSaveAdmin.addEventListener('click', async ()=>{
     try{
-      const baseUrl=backendUrlInput.value.trim();
-      const token=adminTokenInput.value.trim();
-      setBackendBaseUrl(baseUrl);
-      token?localStorage.setItem('adminToken',token):localStorage.removeItem('adminToken');
-      alert('Saved admin settings.');
-    }catch{ alert('Save failed.'); }
+      setBackendBaseUrl(backendUrlInput.value.trim());
+      setDisplayKey(displayKeyInput.value);
+      FirebaseREST.connectRelay(getBackendBaseUrl());
+      // Listeners are bound to the database at load, so a new one needs a reload.
+      const dbUrl=dbUrlInput.value.trim().replace(/\/+$/,'');
+      if(dbUrl!==(localStorage.getItem('plk_db_url')||'')){
+        if(dbUrl) localStorage.setItem('plk_db_url',dbUrl); else localStorage.removeItem('plk_db_url');
+        return location.reload();
+      }
+      const password=adminTokenInput.value;
+      if(!password) return alert('Saved admin settings.');
+      const session=await adminLogin(adminUserInput.value.trim(), password);
+      adminTokenInput.value='';
+      alert(`Signed in as ${session.username} (${session.role}).`);
+    }catch(e){ alert(`Sign in failed: ${e.message}`); }
   });
 
   btnReset.addEventListener('click', async ()=>{
-    const token=adminTokenInput.value || localStorage.getItem('adminToken') || '';
-    if(!token) return alert('Provide token.');
+    if(!confirm('Close the current season? The leaderboard is archived and every score starts again from zero.')) return;
     try{
-      const res=await adminFetch('/admin/reset-leaderboard',{method:'POST',headers:{'x-admin-token':token}});
-      if(!res.ok) throw new Error();
-      clearLeaderboardLocal();
-      alert('Leaderboard reset.');
-    }catch{ alert('Reset failed.'); }
+      const { closed, current }=await adminJSON(roomPath('/admin/seasons/close'),{ method:'POST' });
+      onSeasonClosed();
+      alert(`${closed.name} closed with ${closed.players} players; ${current.name} has started.`);
+    }catch(e){ alert(`Reset failed: ${e.message}`); }
   });
 
   btnToggleSpawn.addEventListener('click', async ()=>{
-    const token=adminTokenInput.value || localStorage.getItem('adminToken') || '';
-    if(!token) return alert('Provide token.');
     try{
-      const curr=spawnStatusEl.textContent==='true';
-      const res=await adminFetch(`/admin/spawn-toggle?enabled=${!curr}`,{method:'POST',headers:{'x-admin-token':token}});
-      if(!res.ok) throw new Error();
+      const curr=configSpawnEnabled;
+      await adminJSON(roomPath(`/admin/spawn-toggle?enabled=${!curr}`),{ method:'POST' });
       alert(`Spawn set to ${!curr}`);
-    }catch{ alert('Toggle failed.'); }
+    }catch(e){ alert(`Toggle failed: ${e.message}`); }
   });
 
   btnSimulate.addEventListener('click', async ()=>{
     try{
       const name='LocalTester'+Math.floor(Math.random()*1000);
-      const res=await adminFetch('/admin/spawn',{
-        method:'POST',
-        headers:{'content-type':'application/json'},
-        body:JSON.stringify({ username:name, avatarUrl:'', command:'!drop' })
-      });
-      if(!res.ok) throw new Error();
+      await adminJSON(roomPath('/admin/spawn'),postJSON({ username:name, avatarUrl:'', command:'!drop' }));
       alert('Simulated drop sent.');
-    }catch{ alert('Simulation failed.'); }
+    }catch(e){ alert(`Simulation failed: ${e.message}`); }
+  });
+
+  /* Moderation */
+  function modFetch(path, body){
+    return adminJSON(path, body ? postJSON(body) : {});
+  }
+  function renderModeration({ users=[], words=[] }){
+    modList.innerHTML='';
+    for(const u of users){
+      const li=document.createElement('li');
+      const who=document.createElement('span'); who.textContent='@'+u.username;
+      const what=document.createElement('span'); what.className='mod-action';
+      what.textContent=u.until ? `${u.action} · ${Math.max(1,Math.ceil((u.until-Date.now())/60000))}m` : u.action;
+      li.append(who,what);
+      li.addEventListener('click',()=>{ modUsername.value=u.username; });
+      modList.appendChild(li);
+    }
+    modWords.value=words.join(', ');
+  }
+  function refreshModeration(){
+    return modFetch('/admin/moderation').then(renderModeration);
+  }
+  function modAction(path, extra={}){
+    const username=modUsername.value.trim();
+    if(!username) return alert('Enter a username.');
+    modFetch(path,{ username, ...extra }).then(refreshModeration).catch(e=>alert(`Moderation failed: ${e.message}`));
+  }
+  const modMinutesValue=()=>modMinutes.value ? Number(modMinutes.value) : undefined;
+  document.getElementById('btn-mod-ban').addEventListener('click',()=>modAction('/admin/moderation/ban',{ minutes:modMinutesValue() }));
+  document.getElementById('btn-mod-mute').addEventListener('click',()=>modAction('/admin/moderation/mute',{ minutes:modMinutesValue() }));
+  document.getElementById('btn-mod-lift').addEventListener('click',()=>modAction('/admin/moderation/lift'));
+  document.getElementById('btn-mod-purge').addEventListener('click',()=>{
+    if(!confirm(`Purge @${modUsername.value.trim()}? This removes their leaderboard entry and pending drops.`)) return;
+    modAction('/admin/moderation/purge');
+  });
+  document.getElementById('btn-mod-words').addEventListener('click',()=>{
+    const words=modWords.value.split(',').map(w=>w.trim()).filter(Boolean);
+    modFetch('/admin/moderation/words',{ words }).then(refreshModeration).catch(e=>alert(`Saving filter failed: ${e.message}`));
+  });
+  document.getElementById('btn-mod-refresh').addEventListener('click',()=>{
+    refreshModeration().catch(e=>alert(`Loading moderation failed: ${e.message}`));
+  });
+
+  /* Metrics (relay /admin/metrics, see server/metrics.js) */
+  function renderMetrics(m){
+    const sum=(rows=[],pick=()=>true)=>rows.filter(r=>pick(r.labels)).reduce((n,r)=>n+r.value,0);
+    const byLabel=(rows=[],label)=>{
+      const out={};
+      rows.forEach(r=>{ out[r.labels[label]]=(out[r.labels[label]]||0)+r.value; });
+      return Object.entries(out).sort((a,b)=>b[1]-a[1]).map(([k,v])=>`${k} ${v}`).join(' · ') || 'none';
+    };
+    const ms=s=>s==null ? '–' : `${Math.round(s*1000)}ms`;
+    const latency=(m.event_push_latency_seconds||[]).map(h=>`${h.labels.type} p50 ${ms(h.p50)} p95 ${ms(h.p95)}`).join(' · ') || 'none';
+    const rows=[
+      ['Chat', byLabel((m.inbound_events_total||[]).filter(r=>r.labels.type==='chat'),'outcome')],
+      ['Gifts', byLabel((m.inbound_events_total||[]).filter(r=>r.labels.type==='gift'),'outcome')],
+      ['Writes', `${sum(m.event_writes_total,l=>l.result==='ok')} ok · ${sum(m.event_writes_total,l=>l.result==='failed')} failed`],
+      ['Push latency', latency],
+      ['Reconnects', byLabel(m.source_reconnects_total,'source')],
+      ['Admin calls', `${sum(m.admin_requests_total)} (${sum(m.admin_requests_total,l=>l.status>=400)} refused or failed)`]
+    ];
+    metricsList.innerHTML='';
+    for(const [name,value] of rows){
+      const li=document.createElement('li');
+      const k=document.createElement('span'); k.textContent=name;
+      const v=document.createElement('span'); v.textContent=value;
+      li.append(k,v);
+      metricsList.appendChild(li);
+    }
+  }
+  document.getElementById('btn-metrics-refresh').addEventListener('click',()=>{
+    adminJSON('/admin/metrics').then(d=>renderMetrics(d.metrics)).catch(e=>alert(`Loading metrics failed: ${e.message}`));
   });
 
   /* Console Helpers */
   window.forceShowCommands=()=>{ forceCommandsVisible(); };
-  window.simGift=(giftName='Rose', count=1)=>{
-    for(let i=0;i<count;i++){
-      const evt={
-        username:'SimGifter',
-        avatarUrl:'',
-        giftName,
-        giftCoins: giftName.toLowerCase()==='rose'?1:10,
-        timestamp:Date.now()
-      };
-      if(window.DEBUG_GIFTS) console.log('[SimGift] injecting', evt);
-      LocalEventBus.injectLocalEvent(evt);
-    }
+  window.simGift=(giftName='Rose', balls=1)=>{
+    const evt={
+      v:EventSchema.VERSION,
+      type:'gift',
+      username:'SimGifter',
+      avatarUrl:'',
+      giftId:null,
+      giftName,
+      diamonds:0,
+      balls,
+      combo:{ count:1, units:1, final:true },
+      timestamp:Date.now()
+    };
+    if(window.DEBUG_GIFTS) console.log('[SimGift] injecting', evt);
+    LocalEventBus.injectLocalEvent(evt);
   };
 
   /* Start Sequence */
@@ -1145,6 +1571,9 @@ const { Engine, World, Bodies, Events, Body } = Matter;
     initThree();
     initMatter();
     listenToEvents();
+    startDisplayHeartbeat();
+    startConnectionBadge();
+    loadSeasons().catch(()=>{});
     initTeasers();
     initDevPanel();
     initGiftCards();
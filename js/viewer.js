@@ -0,0 +1,121 @@
+/* Viewer lookup page (viewer.html): a viewer's points, rank and history from
+   the relay's public routes (server/viewers.js). Read-only, no credentials. */
+(function(){
+  const params=new URLSearchParams(location.search);
+  // Same saved Backend URL as the display (js/game.js); ?relay= sets it.
+  const relayParam=(params.get('relay')||'').trim().replace(/\/+$/,'');
+  if(relayParam) localStorage.setItem('backendBaseUrl',relayParam);
+  const relay=(localStorage.getItem('backendBaseUrl')||window.PLINKO_RELAY_URL||'').trim().replace(/\/+$/,'');
+  const room=(params.get('room')||'').trim().toLowerCase();
+  const roomPrefix=room?`/rooms/${encodeURIComponent(room)}`:'';
+  const PAGE=11;
+
+  const $=id=>document.getElementById(id);
+  const form=$('vw-search'), input=$('vw-username'), status=$('vw-status'), result=$('vw-result');
+  let current=null, pageOffset=0;
+
+  function setStatus(msg,error){
+    status.textContent=msg||'';
+    status.classList.toggle('error',!!error);
+  }
+
+  async function relayJSON(path){
+    const res=await fetch(`${relay}${roomPrefix}${path}`);
+    const body=await res.json().catch(()=>({}));
+    if(!res.ok){
+      const err=new Error(res.status===429?'Too many lookups, try again in a moment.':(body.error||`HTTP ${res.status}`));
+      err.status=res.status;
+      throw err;
+    }
+    return body;
+  }
+
+  const fmt=n=>Number(n||0).toLocaleString();
+  const when=ts=>ts?new Date(ts).toLocaleString():'';
+  function row(list,left,right,cls){
+    const li=document.createElement('li');
+    const a=document.createElement('span'); a.textContent=left; if(cls) a.className=cls;
+    const b=document.createElement('span'); b.className='when'; b.textContent=right;
+    li.append(a,b); list.appendChild(li);
+  }
+  function fill(list,items,empty,render){
+    list.innerHTML='';
+    if(!items.length){ const li=document.createElement('li'); li.className='lb-empty'; li.textContent=empty; list.appendChild(li); return; }
+    items.forEach(render);
+  }
+
+  function renderProfile(p){
+    $('vw-season').textContent=p.season?p.season.name:'';
+    $('vw-ava').style.backgroundImage=p.avatarUrl?`url(${p.avatarUrl})`:'';
+    $('vw-name').textContent='@'+p.username;
+    $('vw-score').textContent=fmt(p.score);
+    $('vw-rank').textContent=p.rank?`#${fmt(p.rank)} of ${fmt(p.players)}`:'unranked';
+    $('vw-percentile').textContent=p.percentile===null?'':`Ahead of ${p.percentile}% of players`;
+
+    fill($('vw-drops'),p.drops,'No recent drops.',d=>{
+      const landed=d.landed.map(l=>`+${fmt(l.points)}`).join(' ');
+      const waiting=d.balls-d.landed.length;
+      const text=`${d.balls} ball${d.balls===1?'':'s'}${landed?` · ${landed}`:''}${waiting>0?` · ${waiting} in play`:''}`;
+      row($('vw-drops'),text,when(d.createdAt));
+    });
+    fill($('vw-history'),p.history,'No points yet.',h=>{
+      const label={landing:'Landing',redeem:'Redeemed',refund:'Refund'}[h.reason]||h.reason;
+      row($('vw-history'),`${h.delta>=0?'+':''}${fmt(h.delta)} ${label} → ${fmt(h.balance)}`,when(h.at),h.delta>=0?'vw-plus':'vw-minus');
+    });
+    fill($('vw-redemptions'),p.redemptions,'No redemptions.',r=>{
+      row($('vw-redemptions'),`${String(r.tier).toUpperCase()} · ${fmt(r.cost)} pts · ${r.status}`,when(r.createdAt));
+    });
+  }
+
+  function renderBoard(page){
+    const list=$('vw-board');
+    list.innerHTML='';
+    for(const e of page.entries){
+      const li=document.createElement('li'); li.className='lb-item';
+      if(current&&e.username===current.username) li.classList.add('vw-me');
+      const ava=document.createElement('div'); ava.className='lb-ava';
+      if(e.avatarUrl) ava.style.backgroundImage=`url(${e.avatarUrl})`;
+      const name=document.createElement('div'); name.className='lb-name';
+      const rank=document.createElement('span'); rank.className='lb-rank'; rank.textContent=`#${e.rank}`;
+      name.append(rank,document.createTextNode('@'+e.username));
+      const score=document.createElement('div'); score.className='lb-score'; score.textContent=fmt(e.score);
+      li.append(ava,name,score);
+      list.appendChild(li);
+    }
+    if(!page.entries.length){ const li=document.createElement('li'); li.className='lb-empty'; li.textContent='Nobody has scored this season yet.'; list.appendChild(li); }
+    pageOffset=page.offset;
+    $('vw-prev').disabled=page.prev===null;
+    $('vw-next').disabled=page.next===null;
+    $('vw-page').textContent=page.entries.length?`#${page.offset+1}–${page.offset+page.entries.length} of ${fmt(page.players)}`:'';
+  }
+
+  async function loadBoard(query){
+    try{ renderBoard(await relayJSON(`/leaderboard?limit=${PAGE}&${query}`)); }
+    catch(e){ setStatus(e.message,true); }
+  }
+
+  async function lookup(name){
+    const username=String(name||'').trim().replace(/^@/,'');
+    if(!username) return;
+    if(!relay){ setStatus('No relay set: open this page with ?relay=<relay URL>.',true); return; }
+    setStatus('Looking up…');
+    try{
+      current=await relayJSON(`/viewers/${encodeURIComponent(username)}`);
+      renderProfile(current);
+      result.hidden=false;
+      setStatus('');
+      const url=new URL(location.href); url.searchParams.set('u',current.username); history.replaceState(null,'',url);
+      await loadBoard(current.rank?`around=${encodeURIComponent(current.username)}`:'offset=0');
+    }catch(e){
+      result.hidden=true;
+      setStatus(e.status===404?`No points found for @${username} yet.`:e.message,true);
+    }
+  }
+
+  form.addEventListener('submit',e=>{ e.preventDefault(); lookup(input.value); });
+  $('vw-prev').addEventListener('click',()=>loadBoard(`offset=${Math.max(0,pageOffset-PAGE)}`));
+  $('vw-next').addEventListener('click',()=>loadBoard(`offset=${pageOffset+PAGE}`));
+
+  const initial=params.get('u');
+  if(initial){ input.value=initial; lookup(initial); }
+})();
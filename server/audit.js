@@ -0,0 +1,34 @@
+// Append-only audit log of admin actions at /audit/<pushId>:
+//   { at, actor, role, action, status, detail }
+// `action` is "<METHOD> <route>", e.g. "POST /admin/moderation/ban".
+
+function createAudit({ store, timestamp = () => Date.now() }) {
+  function record({ actor, role, action, status, detail }) {
+    return store.audit.push({
+      at: timestamp(),
+      actor: actor || 'anonymous',
+      role: role || null,
+      action,
+      status,
+      detail: detail || null
+    });
+  }
+
+  // Newest first. Filters: actor, action (substring), since (ms).
+  async function query({ limit = 100, actor, action, since } = {}) {
+    const rows = await store.audit.query({
+      orderBy: 'at',
+      startAt: since ? Number(since) : undefined,
+      last: actor || action ? 1000 : limit
+    });
+    return rows
+      .map(([id, e]) => ({ id, ...e }))
+      .filter(e => (!actor || e.actor === actor) && (!action || String(e.action).includes(action)))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  return { record, query };
+}
+
+module.exports = { createAudit };
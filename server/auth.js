@@ -0,0 +1,75 @@
+// Admin sessions. Accounts log in with a password and get a short-lived
+// signed session token (HMAC-SHA256) carrying their role:
+//   owner     - everything
+//   moderator - ban / mute viewers, toggle spawning and run displays
+// Tokens are `<payload>.<signature>`, both base64url; the payload is
+// { sub, role, iat, exp }. Without a SESSION_SECRET a random one is made at
+// startup, so restarting the relay signs everyone out.
+const crypto = require('crypto');
+
+const ROLES = ['owner', 'moderator'];
+const ROLE_PERMISSIONS = {
+  owner: ['*'],
+  moderator: ['moderate', 'spawn', 'display']
+};
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const b64 = buf => Buffer.from(buf).toString('base64url');
+const digest = s => crypto.createHash('sha256').update(String(s)).digest();
+
+// "alice:owner:secret,bob:moderator:secret2" -> [{ name, role, password }]
+function parseAccounts(spec) {
+  return String(spec || '').split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [name, role, ...rest] = entry.split(':');
+    if (!name || !ROLES.includes(role) || !rest.length) throw new AuthError(500, `bad account entry "${name || entry}"`);
+    return { name, role, password: rest.join(':') };
+  });
+}
+
+function createAuth({ accounts, secret, ttlMs = 30 * 60 * 1000, timestamp = () => Date.now() }) {
+  const key = secret || crypto.randomBytes(32).toString('hex');
+  const byName = new Map(accounts.map(a => [a.name.toLowerCase(), a]));
+  const sign = payload => b64(crypto.createHmac('sha256', key).update(payload).digest());
+
+  function login(name, password) {
+    const account = byName.get(String(name || '').toLowerCase());
+    // Compare digests so the check takes the same time whatever the input.
+    const expected = digest(account ? account.password : crypto.randomBytes(16));
+    if (!crypto.timingSafeEqual(expected, digest(password || '')) || !account) {
+      throw new AuthError(401, 'invalid credentials');
+    }
+    const iat = timestamp();
+    const payload = b64(JSON.stringify({ sub: account.name, role: account.role, iat, exp: iat + ttlMs }));
+    return { token: `${payload}.${sign(payload)}`, role: account.role, username: account.name, expiresAt: iat + ttlMs };
+  }
+
+  // -> { sub, role, iat, exp }; throws a 401 AuthError if invalid or expired.
+  function verify(token) {
+    const [payload, sig] = String(token || '').split('.');
+    if (!payload || !sig) throw new AuthError(401, 'missing session');
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new AuthError(401, 'invalid session');
+    }
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!(session.exp > timestamp())) throw new AuthError(401, 'session expired');
+    if (!byName.has(String(session.sub).toLowerCase())) throw new AuthError(401, 'unknown account');
+    return session;
+  }
+
+  function can(role, permission) {
+    const perms = ROLE_PERMISSIONS[role] || [];
+    return perms.includes('*') || perms.includes(permission);
+  }
+
+  return { login, verify, can, accounts: () => accounts.map(a => ({ name: a.name, role: a.role })) };
+}
+
+module.exports = { createAuth, parseAccounts, AuthError, ROLES, ROLE_PERMISSIONS };
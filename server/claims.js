@@ -0,0 +1,134 @@
+// Event claiming between the relay and display pages. A display must claim a
+// drop before spawning it; only the claimant may report its landings. Claims
+// are leases: if the owner stops heartbeating and the lease runs out before
+// every ball has landed, another display may take the remaining balls over.
+// A live display registered as "primary" wins every claim; "mirror" displays
+// never claim and replay the owner's drop positions instead.
+// A display's first heartbeat issues it a token; its later heartbeats, claims
+// and landings must carry that token, so no one else can act under its id.
+// Only provisioned displays (server.js: the DISPLAY_KEY or an admin session)
+// may register to claim; anyone may register as a mirror.
+const crypto = require('crypto');
+
+const ROLES = ['auto', 'primary', 'mirror'];
+const VALID_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+class ClaimError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sameToken(given, expected) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function createClaims({ store, leaseMs = 30000, staleMs = 15000, timestamp = () => Date.now() }) {
+  const displays = new Map(); // displayId -> { role, token, provisioned, lastSeen, since }
+
+  function isLive(displayId, now = timestamp()) {
+    const d = displays.get(displayId);
+    return !!d && now - d.lastSeen < staleMs;
+  }
+
+  // The longest-running live primary, so a second primary page can't steal
+  // the role mid-stream.
+  function currentPrimary(now = timestamp()) {
+    let best = null;
+    for (const [id, d] of displays) {
+      if (d.role !== 'primary' || !isLive(id, now)) continue;
+      if (!best || d.since < displays.get(best).since) best = id;
+    }
+    return best;
+  }
+
+  // A known display must send its token. A new display can't register as
+  // primary while another primary is live. `provisioned` says the request
+  // proved it may claim; a display keeps that once its token is issued.
+  function heartbeat(displayId, role = 'auto', token, { provisioned = false } = {}) {
+    if (!VALID_ID.test(String(displayId || ''))) throw new ClaimError(400, 'invalid displayId');
+    if (!ROLES.includes(role)) throw new ClaimError(400, 'invalid role');
+    const now = timestamp();
+    for (const [id, d] of displays) {
+      if (now - d.lastSeen > staleMs * 10) displays.delete(id);
+    }
+    const prev = displays.get(displayId);
+    if (prev && !sameToken(token, prev.token)) throw new ClaimError(403, 'display token mismatch');
+    const trusted = provisioned || !!(prev && prev.provisioned);
+    if (role !== 'mirror' && !trusted) throw new ClaimError(401, 'display key or admin session required');
+    if (!prev && role === 'primary') {
+      const primary = currentPrimary(now);
+      if (primary) throw new ClaimError(409, `display ${primary} is already primary`);
+    }
+    const displayToken = prev ? prev.token : crypto.randomBytes(24).toString('hex');
+    displays.set(displayId, {
+      role, token: displayToken, provisioned: trusted, lastSeen: now, since: prev && prev.role === role ? prev.since : now
+    });
+    return { primary: currentPrimary(now), displayToken };
+  }
+
+  // The registered display for this id and token, or a 403.
+  function verify(displayId, token) {
+    if (!VALID_ID.test(String(displayId || ''))) throw new ClaimError(400, 'invalid displayId');
+    const d = displays.get(displayId);
+    if (!d) throw new ClaimError(403, 'unknown display, heartbeat first');
+    if (!sameToken(token, d.token)) throw new ClaimError(403, 'display token mismatch');
+    return d;
+  }
+
+  async function claim(eventId, displayId, xs = [], token) {
+    if (!VALID_ID.test(String(eventId || ''))) throw new ClaimError(400, 'invalid event id');
+    const d = verify(displayId, token);
+    if (d.role === 'mirror') throw new ClaimError(403, 'mirror displays cannot claim');
+    const primary = currentPrimary();
+    if (primary && primary !== displayId) return { granted: false, reason: 'primary', owner: primary };
+
+    const positions = (Array.isArray(xs) ? xs : []).map(Number).filter(Number.isFinite).slice(0, 100);
+    let outcome = null;
+    await store.drops.transact(eventId, drop => {
+      outcome = null;
+      if (!drop) return drop;
+      const now = timestamp();
+      const landed = drop.landed || {};
+      const pending = [];
+      for (let i = 0; i < (drop.balls || 1); i++) if (!landed[i]) pending.push(i);
+      if (!pending.length) {
+        outcome = { granted: false, reason: 'done' };
+        return drop;
+      }
+      const c = drop.claim;
+      if (c && c.displayId !== displayId && (now < c.leaseUntil || isLive(c.displayId, now))) {
+        outcome = { granted: false, reason: 'claimed', owner: c.displayId, retryInMs: Math.max(0, c.leaseUntil - now) };
+        return drop;
+      }
+      outcome = { granted: true, balls: pending, takeover: !!c && c.displayId !== displayId };
+      return { ...drop, claim: { displayId, xs: positions, at: now, leaseUntil: now + leaseMs } };
+    });
+    if (!outcome) throw new ClaimError(404, 'unknown drop');
+    return outcome;
+  }
+
+  // What mirrors need to replay a drop: who owns it and where balls start.
+  async function describe(eventId) {
+    if (!VALID_ID.test(String(eventId || ''))) throw new ClaimError(400, 'invalid event id');
+    const drop = await store.drops.get(eventId);
+    if (!drop) throw new ClaimError(404, 'unknown drop');
+    if (!drop.claim) return { claimed: false, balls: drop.balls || 1 };
+    return { claimed: true, owner: drop.claim.displayId, xs: drop.claim.xs || [], balls: drop.balls || 1 };
+  }
+
+  function listDisplays() {
+    const now = timestamp();
+    const primary = currentPrimary(now);
+    return [...displays].map(([id, d]) => ({
+      displayId: id, role: d.role, live: isLive(id, now), primary: id === primary, lastSeen: d.lastSeen
+    }));
+  }
+
+  return { heartbeat, verify, claim, describe, listDisplays };
+}
+
+module.exports = { createClaims, ClaimError, ROLES };
@@ -0,0 +1,135 @@
+// Declarative chat command registry. Each command:
+//
+//   { name, action: 'drop' | 'redeem', match: 'exact' | 'prefix',
+//     triggers: ['!drop', '!soltar', ...],  // aliases, case-insensitive
+//     args: ['tier'],                       // positional args after a prefix trigger
+//     params: { tier: 't1' },               // fixed args, overridden by positional ones
+//     cooldownMs: 0,                        // per user, per command
+//     role: 'everyone' | 'subscriber' | 'moderator' | 'topGifter',
+//     enabled: true }
+//
+// "exact" triggers must be the whole message; "prefix" triggers must start it
+// and be followed by a space or nothing, so "I hate !drop spam" matches
+// neither.
+
+const ACTIONS = ['drop', 'redeem'];
+const MATCH_MODES = ['exact', 'prefix'];
+const ROLES = ['everyone', 'subscriber', 'moderator', 'topGifter'];
+
+const DEFAULT_COMMANDS = [
+  { name: 'drop', action: 'drop', match: 'prefix', triggers: ['!drop', '!soltar', '!tirar', '!lacher', '!fallen', '!cair'] },
+  { name: 'drop-word', action: 'drop', match: 'exact', triggers: ['drop'] },
+  { name: 't1', action: 'redeem', match: 'exact', triggers: ['!t1', '!tier1'], params: { tier: 't1' } },
+  { name: 't2', action: 'redeem', match: 'exact', triggers: ['!t2', '!tier2'], params: { tier: 't2' } },
+  { name: 't3', action: 'redeem', match: 'exact', triggers: ['!t3', '!tier3'], params: { tier: 't3' } },
+  { name: 'redeem', action: 'redeem', match: 'prefix', triggers: ['!redeem', '!canjear', '!resgatar', '!echanger'], args: ['tier'] }
+];
+
+class CommandError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const normalizeText = s => String(s || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Fills in defaults and rejects anything malformed; throws a CommandError
+// listing every problem so an admin can fix them in one go.
+function validateCommands(list) {
+  if (!Array.isArray(list)) throw new CommandError(400, 'commands must be an array');
+  const errors = [];
+  const names = new Set();
+  const commands = list.map((raw, i) => {
+    const c = raw && typeof raw === 'object' ? raw : {};
+    const where = `commands[${i}]${c.name ? ` (${c.name})` : ''}`;
+    const cmd = {
+      name: String(c.name || ''),
+      action: c.action,
+      match: c.match || 'exact',
+      triggers: Array.isArray(c.triggers) ? c.triggers.map(normalizeText).filter(Boolean) : [],
+      args: Array.isArray(c.args) ? c.args.map(String) : [],
+      params: c.params && typeof c.params === 'object' ? { ...c.params } : {},
+      cooldownMs: c.cooldownMs == null ? 0 : Number(c.cooldownMs),
+      role: c.role || 'everyone',
+      enabled: c.enabled !== false
+    };
+    if (!/^[a-z0-9_-]{1,32}$/i.test(cmd.name)) errors.push(`${where}: name must be 1-32 letters, digits, - or _`);
+    else if (names.has(cmd.name)) errors.push(`${where}: duplicate name`);
+    names.add(cmd.name);
+    if (!ACTIONS.includes(cmd.action)) errors.push(`${where}: action must be one of ${ACTIONS.join(', ')}`);
+    if (!MATCH_MODES.includes(cmd.match)) errors.push(`${where}: match must be one of ${MATCH_MODES.join(', ')}`);
+    if (!cmd.triggers.length) errors.push(`${where}: at least one trigger is required`);
+    if (!ROLES.includes(cmd.role)) errors.push(`${where}: role must be one of ${ROLES.join(', ')}`);
+    if (!Number.isFinite(cmd.cooldownMs) || cmd.cooldownMs < 0) errors.push(`${where}: cooldownMs must be >= 0`);
+    if (cmd.action === 'redeem' && !cmd.params.tier && !cmd.args.includes('tier')) {
+      errors.push(`${where}: redeem commands need a tier param or a tier arg`);
+    }
+    return cmd;
+  });
+  if (errors.length) throw new CommandError(400, errors.join('; '));
+  return commands;
+}
+
+function hasRole(role, evt) {
+  if (role === 'everyone') return true;
+  if (evt.isModerator) return true;
+  if (role === 'subscriber') return !!evt.isSubscriber;
+  if (role === 'topGifter') return Number.isInteger(evt.topGifterRank) && evt.topGifterRank > 0;
+  return false;
+}
+
+function createCommandRegistry(initial = DEFAULT_COMMANDS) {
+  let commands = validateCommands(initial);
+  const lastUse = new Map(); // `${command}:${userId}` -> time
+
+  // First command (in registry order) with a trigger matching `text`.
+  function match(text) {
+    const msg = normalizeText(text);
+    if (!msg) return null;
+    for (const command of commands) {
+      for (const trigger of command.triggers) {
+        let rest = null;
+        if (msg === trigger) rest = '';
+        else if (command.match === 'prefix' && msg.startsWith(trigger + ' ')) rest = msg.slice(trigger.length + 1);
+        if (rest === null) continue;
+        const values = rest ? rest.split(' ') : [];
+        const args = { ...command.params };
+        command.args.forEach((name, i) => {
+          if (values[i] !== undefined) args[name] = values[i];
+        });
+        return { command, args };
+      }
+    }
+    return null;
+  }
+
+  // 'ok' or why the viewer can't run it: 'command-disabled', 'forbidden',
+  // 'command-cooldown'. A successful check starts the cooldown.
+  function authorize(command, evt, now = Date.now()) {
+    if (!command.enabled) return 'command-disabled';
+    if (!hasRole(command.role, evt)) return 'forbidden';
+    if (command.cooldownMs > 0) {
+      const key = `${command.name}:${evt.userId || evt.username}`;
+      if (now - (lastUse.get(key) || 0) < command.cooldownMs) return 'command-cooldown';
+      lastUse.set(key, now);
+      if (lastUse.size > 5000) {
+        const maxCooldown = Math.max(...commands.map(c => c.cooldownMs));
+        for (const [k, t] of lastUse) if (now - t >= maxCooldown) lastUse.delete(k);
+      }
+    }
+    return 'ok';
+  }
+
+  return {
+    match,
+    authorize,
+    list: () => commands.map(c => ({ ...c })),
+    replace(list) {
+      commands = validateCommands(list);
+      return commands;
+    }
+  };
+}
+
+module.exports = { createCommandRegistry, validateCommands, DEFAULT_COMMANDS, CommandError, ACTIONS, ROLES };
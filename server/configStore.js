@@ -0,0 +1,131 @@
+/* eslint-disable no-console */
+// Versioned relay config. The live config is kept at /config (public: the
+// display reads spawnEnabled from it) as { ...settings, version, updatedAt,
+// updatedBy }, and every version ever committed at /configVersions/<pushId>:
+//   { version, author, at, note, config }
+// On boot the stored config wins; env values only seed version 1.
+
+class ConfigError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const META = ['version', 'updatedAt', 'updatedBy'];
+
+function stripMeta(stored) {
+  const config = { ...stored };
+  for (const k of META) delete config[k];
+  return config;
+}
+
+// Leaf-level changes between two configs: [{ path: 'giftRules.balls.rose', from, to }]
+function diffConfigs(a, b, path = '', out = []) {
+  if (a === b || JSON.stringify(a) === JSON.stringify(b)) return out;
+  const isObject = v => !!v && typeof v === 'object';
+  if (isObject(a) && isObject(b) && Array.isArray(a) === Array.isArray(b)) {
+    for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      diffConfigs(a[k], b[k], path ? `${path}.${k}` : k, out);
+    }
+    return out;
+  }
+  out.push({ path, from: a === undefined ? null : a, to: b === undefined ? null : b });
+  return out;
+}
+
+// `validate(config)` returns the normalized config or throws an error with a
+// status; `apply(config)` switches the relay over to it.
+function createConfigStore({ store, defaults, validate, apply, timestamp = () => Date.now() }) {
+  let current = null; // { version, updatedAt, updatedBy, config }
+  let chain = Promise.resolve();
+
+  async function write(config, { author, note }) {
+    const version = (current ? current.version : 0) + 1;
+    const at = timestamp();
+    await store.configVersions.push({ version, author, at, note: note || '', config });
+    await store.config.set({ ...config, version, updatedAt: at, updatedBy: author });
+    current = { version, updatedAt: at, updatedBy: author, config };
+    apply(config);
+    return current;
+  }
+
+  // Commits run one at a time so version numbers never collide.
+  function serial(fn) {
+    const run = chain.then(fn);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  // Stored config if there is one, else `defaults` (env) merged with any
+  // unversioned settings already under /config, saved as version 1. A stored
+  // config that no longer validates is replaced by the defaults as a new
+  // version, so the relay still boots and the bad one stays in the history.
+  function load() {
+    return serial(async () => {
+      const stored = await store.config.get();
+      const versioned = !!stored && Number.isInteger(stored.version);
+      let config;
+      try {
+        config = validate({ ...defaults, ...stripMeta(stored || {}) });
+      } catch (e) {
+        console.error('Stored config invalid, using env defaults:', e.message);
+        if (versioned) current = { version: stored.version, updatedAt: stored.updatedAt, updatedBy: stored.updatedBy, config: null };
+        return write(validate(defaults), { author: 'env', note: 'stored config invalid, env defaults' });
+      }
+      if (!versioned) return write(config, { author: 'env', note: 'initial config' });
+      current = { version: stored.version, updatedAt: stored.updatedAt, updatedBy: stored.updatedBy, config };
+      apply(config);
+      return current;
+    });
+  }
+
+  function loaded() {
+    if (!current) throw new ConfigError(503, 'config not loaded');
+    return current;
+  }
+
+  // Applies `patch` on top of the current config as a new version.
+  function commit(patch, { author, note } = {}) {
+    return serial(() => {
+      const config = validate({ ...loaded().config, ...patch });
+      if (!diffConfigs(current.config, config).length) return current;
+      return write(config, { author, note });
+    });
+  }
+
+  async function history(limit = 20) {
+    const rows = await store.configVersions.query({ orderBy: 'version', last: limit });
+    return rows.map(([, { version, author, at, note }]) => ({ version, author, at, note })).reverse();
+  }
+
+  async function getVersion(version) {
+    if (current && version === current.version) return { version, author: current.updatedBy, at: current.updatedAt, config: current.config };
+    const [found] = (await store.configVersions.query({ orderBy: 'version', equalTo: version })).map(([, v]) => v);
+    if (!found) throw new ConfigError(404, `no config version ${version}`);
+    return found;
+  }
+
+  async function diff(from, to) {
+    if (to === undefined) to = loaded().version;
+    const [a, b] = await Promise.all([getVersion(from), getVersion(to)]);
+    return { from, to, changes: diffConfigs(validate(a.config), validate(b.config)) };
+  }
+
+  async function rollback(version, { author } = {}) {
+    const target = await getVersion(version);
+    return commit(validate(target.config), { author, note: `rollback to v${version}` });
+  }
+
+  return {
+    load,
+    commit,
+    history,
+    getVersion,
+    diff,
+    rollback,
+    get: () => current && { version: current.version, updatedAt: current.updatedAt, updatedBy: current.updatedBy, ...current.config }
+  };
+}
+
+module.exports = { createConfigStore, diffConfigs, ConfigError };
@@ -0,0 +1,106 @@
+// Gift -> ball rules, evaluated on the relay so every display drops the same
+// number of balls. Rules:
+//
+//   { balls: { rose: 1, gg: 2, '5655': 1 },  // by lower-cased gift name or gift id
+//     diamondsPerBall: 10,                   // fallback for unmapped gifts (min 1 ball)
+//     maxBallsPerGift: 25 }                  // cap per gift event
+//
+// Streaks (TikTok's streakable gifts arrive as a series of events with a
+// growing repeatCount and a final repeatEnd) are aggregated per viewer and
+// gift according to the streak mode:
+//   repeatEnd - nothing until the streak ends, then every gift in it at once
+//   first     - one gift's worth when the streak starts, nothing after
+//   every     - each event pays out the gifts added since the previous one
+
+const STREAK_MODES = ['repeatEnd', 'first', 'every'];
+const STREAK_IDLE_MS = 60000;
+
+const DEFAULT_GIFT_RULES = {
+  balls: {
+    'rose': 1,
+    'finger heart': 1,
+    'gg': 2,
+    'unicorn': 5,
+    'lion': 8,
+    'castle': 12
+  },
+  diamondsPerBall: 10,
+  maxBallsPerGift: 25
+};
+
+class GiftRuleError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function validateGiftRules(rules) {
+  if (!rules || typeof rules !== 'object') throw new GiftRuleError(400, 'giftRules must be an object');
+  const errors = [];
+  const balls = {};
+  for (const [k, v] of Object.entries(rules.balls || {})) {
+    if (!Number.isInteger(v) || v < 0) errors.push(`giftRules.balls["${k}"] must be an integer >= 0`);
+    else balls[String(k).trim().toLowerCase()] = v;
+  }
+  const diamondsPerBall = Number(rules.diamondsPerBall ?? DEFAULT_GIFT_RULES.diamondsPerBall);
+  const maxBallsPerGift = Number(rules.maxBallsPerGift ?? DEFAULT_GIFT_RULES.maxBallsPerGift);
+  if (!(diamondsPerBall > 0)) errors.push('giftRules.diamondsPerBall must be > 0');
+  if (!Number.isInteger(maxBallsPerGift) || maxBallsPerGift < 1 || maxBallsPerGift > 100) {
+    errors.push('giftRules.maxBallsPerGift must be an integer from 1 to 100');
+  }
+  if (errors.length) throw new GiftRuleError(400, errors.join('; '));
+  return { balls, diamondsPerBall, maxBallsPerGift };
+}
+
+function createGiftRules(initial = DEFAULT_GIFT_RULES) {
+  let rules = validateGiftRules(initial);
+  const streaks = new Map(); // `${userId}:${gift}` -> { count, at }
+
+  function ballsPerGift(gift) {
+    const byName = rules.balls[String(gift.giftName || '').trim().toLowerCase()];
+    if (byName !== undefined) return byName;
+    const byId = gift.giftId == null ? undefined : rules.balls[String(gift.giftId)];
+    if (byId !== undefined) return byId;
+    return Math.max(1, Math.floor((gift.diamonds || 0) / rules.diamondsPerBall));
+  }
+
+  // How many gifts (units) this event is worth under `mode`, tracking
+  // streak progress so no gift is paid twice.
+  function streakUnits(gift, mode, now) {
+    const count = Math.max(1, gift.repeatCount || 1);
+    if (!gift.streakable) return { units: count, final: true };
+
+    const key = `${gift.userId || gift.username}:${gift.giftId ?? gift.giftName}`;
+    const prev = streaks.get(key);
+    let units;
+    if (mode === 'every') units = Math.max(0, count - (prev ? prev.count : 0));
+    else if (mode === 'first') units = prev ? 0 : 1;
+    else units = gift.repeatEnd ? count : 0;
+
+    if (gift.repeatEnd) streaks.delete(key);
+    else streaks.set(key, { count: Math.max(count, prev ? prev.count : 0), at: now });
+    if (streaks.size > 500) {
+      for (const [k, s] of streaks) if (now - s.at > STREAK_IDLE_MS) streaks.delete(k);
+    }
+    return { units, final: !!gift.repeatEnd };
+  }
+
+  // -> { balls, units, perGift, final }; balls is 0 when nothing should drop.
+  function evaluate(gift, mode = 'repeatEnd', now = Date.now()) {
+    const { units, final } = streakUnits(gift, mode, now);
+    const perGift = ballsPerGift(gift);
+    return { balls: Math.min(rules.maxBallsPerGift, perGift * units), units, perGift, final };
+  }
+
+  return {
+    evaluate,
+    get: () => ({ ...rules, balls: { ...rules.balls } }),
+    replace(next) {
+      rules = validateGiftRules(next);
+      return rules;
+    }
+  };
+}
+
+module.exports = { createGiftRules, validateGiftRules, DEFAULT_GIFT_RULES, GiftRuleError, STREAK_MODES };
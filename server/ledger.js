@@ -0,0 +1,158 @@
+/* eslint-disable no-console */
+// Point ledger and redemption state machine. Every balance change goes
+// through applyDelta() (an atomic transaction on /leaderboard/<user>) and is
+// appended to /ledger/<user>; redemptions live under /redemptions/<id>.
+// exclusive(task) runs a task with balance changes paused (seasons.js).
+const { leaderboardKey } = require('./scoring');
+
+// pending   -> fulfilled (event emitted) | rejected (not enough points) | refunded
+// fulfilled -> refunded (admin action)
+const REDEMPTION_TRANSITIONS = {
+  pending: ['fulfilled', 'rejected', 'refunded'],
+  fulfilled: ['refunded'],
+  rejected: [],
+  refunded: []
+};
+
+class LedgerError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// A tier's cost, or null unless `costs` has its own finite positive entry for
+// it, so names like "constructor" or "__proto__" are never tiers.
+function tierCost(costs, tier) {
+  if (!costs || typeof tier !== 'string' || !Object.prototype.hasOwnProperty.call(costs, tier)) return null;
+  const cost = costs[tier];
+  return Number.isFinite(cost) && cost > 0 ? cost : null;
+}
+
+function createLedger({ store, costs, emit, timestamp = () => Date.now() }) {
+  // While exclusive() holds the board (a season close), balance changes wait
+  // for it; it starts once the changes already under way have finished.
+  let held = null;
+  const inFlight = new Set();
+
+  async function applyDelta(...args) {
+    while (held) await held;
+    const change = writeDelta(...args);
+    inFlight.add(change);
+    try {
+      return await change;
+    } finally {
+      inFlight.delete(change);
+    }
+  }
+
+  async function exclusive(task) {
+    while (held) await held;
+    let release;
+    held = new Promise(resolve => { release = resolve; });
+    try {
+      await Promise.allSettled([...inFlight]);
+      return await task();
+    } finally {
+      held = null;
+      release();
+    }
+  }
+
+  // Returning `current` instead of aborting keeps the transaction honest when
+  // the first attempt runs against an empty local cache.
+  async function writeDelta(username, avatarUrl, delta, { reason, ref = null } = {}) {
+    let applied = false;
+    const result = await store.leaderboard.transact(leaderboardKey(username), current => {
+      applied = false;
+      const score = (current && current.score) || 0;
+      if (delta < 0 && score + delta < 0) return current;
+      applied = true;
+      return {
+        username,
+        usernameLower: String(username || '').toLowerCase(),
+        avatarUrl: avatarUrl || (current && current.avatarUrl) || '',
+        score: score + delta,
+        lastUpdate: timestamp()
+      };
+    });
+    const balance = (result.value || {}).score || 0;
+    if (applied) {
+      await store.ledger(leaderboardKey(username)).push({
+        delta, balance, reason, ref, at: timestamp()
+      });
+    }
+    return { applied, balance };
+  }
+
+  const credit = (username, avatarUrl, points, meta) => applyDelta(username, avatarUrl, Math.abs(points), meta);
+  const debit = (username, points, meta) => applyDelta(username, '', -Math.abs(points), meta);
+
+  // Atomically moves a redemption to `to`; returns the record as it was before
+  // the move, or null if the transition isn't allowed from its current state.
+  async function transition(id, to, extra = {}) {
+    let previous = null;
+    await store.redemptions.transact(id, current => {
+      previous = null;
+      if (!current || !(REDEMPTION_TRANSITIONS[current.status] || []).includes(to)) return current;
+      previous = current;
+      return { ...current, ...extra, status: to, updatedAt: timestamp() };
+    });
+    return previous;
+  }
+
+  async function requestRedemption({ username, avatarUrl = '', tier }) {
+    const cost = tierCost(costs, tier);
+    if (cost === null) throw new LedgerError(400, 'unknown tier');
+
+    const id = store.redemptions.newId();
+    const now = timestamp();
+    await store.redemptions.set(id, {
+      username, avatarUrl, tier, cost, status: 'pending', charged: false, createdAt: now, updatedAt: now
+    });
+
+    const { applied, balance } = await debit(username, cost, { reason: 'redeem', ref: id });
+    if (!applied) {
+      await transition(id, 'rejected', { reason: 'insufficient balance' });
+      return { id, status: 'rejected', balance };
+    }
+    await store.redemptions.update(id, { charged: true });
+
+    try {
+      await emit({ type: 'redeem', username, avatarUrl, tier, command: `redeem:${tier}`, redemptionId: id, charged: true });
+    } catch (e) {
+      console.error('redeem event push failed', e);
+      await refund(id, 'event push failed');
+      return { id, status: 'refunded', balance: balance + cost };
+    }
+    await transition(id, 'fulfilled');
+    return { id, status: 'fulfilled', balance };
+  }
+
+  async function refund(id, reason = 'refunded') {
+    const previous = await transition(id, 'refunded', { reason });
+    if (!previous) throw new LedgerError(409, 'redemption cannot be refunded');
+    if (previous.charged) {
+      await credit(previous.username, previous.avatarUrl, previous.cost, { reason: 'refund', ref: id });
+    }
+    return { id, status: 'refunded' };
+  }
+
+  async function listRedemptions({ status, limit = 50 } = {}) {
+    const rows = await store.redemptions.query({ last: status ? 500 : limit });
+    return rows
+      .filter(([, r]) => !status || r.status === status)
+      .map(([id, r]) => ({ id, ...r }))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async function history(username, limit = 50) {
+    const rows = await store.ledger(leaderboardKey(username)).query({ last: limit });
+    return rows.map(([id, entry]) => ({ id, ...entry })).reverse();
+  }
+
+  return { credit, debit, exclusive, requestRedemption, refund, listRedemptions, history };
+}
+
+module.exports = { createLedger, tierCost, LedgerError, REDEMPTION_TRANSITIONS };
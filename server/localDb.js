@@ -0,0 +1,184 @@
+/* eslint-disable no-console */
+// Local stand-in for the Realtime Database REST API, so the relay and the
+// display run with no Firebase project. Implements the subset Plinkoo uses:
+//   GET / PUT / POST / PATCH / DELETE on `<path>.json`
+//   orderBy ("$key", "$value" or a child), startAt, endAt, equalTo,
+//   limitToFirst, limitToLast and shallow on GET
+//   ETags: `X-Firebase-ETag: true` on GET returns one; `if-match` on PUT and
+//   DELETE makes the write conditional (412 with the current value if stale)
+//   streaming: GET with `Accept: text/event-stream` sends `put` events
+//   (initial value, then every change under the path) and `keep-alive`
+// Data lives in memory (see memoryDb.js) and, with a file, is saved to it as
+// JSON after every change. There are no security rules: local use only.
+//
+//   LOCAL_DB_PORT=9000 LOCAL_DB_FILE=./localdb.json node localDb.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const { createMemoryDb, exportValue, splitPath } = require('./memoryDb');
+
+const KEEP_ALIVE_MS = 30000;
+const QUERY_PARAMS = ['startAt', 'endAt', 'equalTo', 'limitToFirst', 'limitToLast'];
+
+class LocalDbError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const etagOf = value => crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64');
+
+function parseParam(name, raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new LocalDbError(400, `${name} must be JSON, e.g. ${name}="$key"`);
+  }
+}
+
+// Firebase REST query params -> a memoryDb ref with the same query.
+function queryRef(ref, q) {
+  const given = QUERY_PARAMS.filter(p => q[p] !== undefined);
+  if (q.orderBy === undefined) {
+    if (given.length) throw new LocalDbError(400, 'orderBy must be defined when other query parameters are defined');
+    return ref;
+  }
+  const orderBy = parseParam('orderBy', q.orderBy);
+  if (typeof orderBy !== 'string') throw new LocalDbError(400, 'orderBy must be a string');
+  let out = orderBy === '$key' ? ref.orderByKey() : orderBy === '$value' ? ref.orderByValue() : ref.orderByChild(orderBy);
+  for (const p of given) {
+    const v = parseParam(p, q[p]);
+    if (p.startsWith('limitTo') && !(Number.isInteger(v) && v > 0)) throw new LocalDbError(400, `${p} must be a positive integer`);
+    out = out[p](v);
+  }
+  return out;
+}
+
+// A change at `change` (path parts) as a `put` event for a stream listening
+// at `listen`, or null if it is outside the stream's path.
+function streamEvent(listen, change, value) {
+  if (change.length >= listen.length && listen.every((p, i) => change[i] === p)) {
+    return { path: '/' + change.slice(listen.length).join('/'), data: exportValue(value) };
+  }
+  if (change.every((p, i) => listen[i] === p)) {
+    let v = value;
+    for (const p of listen.slice(change.length)) v = v && typeof v === 'object' && v[p] !== undefined ? v[p] : null;
+    return { path: '/', data: exportValue(v) };
+  }
+  return null;
+}
+
+function createLocalDbApp({ db }) {
+  const app = express();
+  app.set('etag', false); // only real Firebase-style ETags
+  app.use(cors({ exposedHeaders: ['ETag'] }));
+  // Firebase accepts any JSON value (not just objects), whatever the content type.
+  app.use(express.json({ strict: false, type: () => true, limit: '10mb' }));
+
+  const current = async parts => (await db.ref(parts.join('/')).once('value')).val();
+
+  function stream(req, res, parts) {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    queryRef(db.ref(parts.join('/')), req.query).once('value').then(snap => {
+      send('put', { path: '/', data: snap.val() });
+    });
+    const off = db.onChange((changed, value) => {
+      const evt = streamEvent(parts, splitPath(changed), value);
+      if (evt) send('put', evt);
+    });
+    const keepAlive = setInterval(() => send('keep-alive', null), KEEP_ALIVE_MS);
+    req.on('close', () => {
+      off();
+      clearInterval(keepAlive);
+    });
+  }
+
+  async function checkEtag(req, res, parts) {
+    const expected = req.get('if-match');
+    if (!expected) return true;
+    const value = await current(parts);
+    if (etagOf(value) === expected) return true;
+    res.set('ETag', etagOf(value)).status(412).json(value);
+    return false;
+  }
+
+  app.all(/^\/(.*)\.json$/, async (req, res) => {
+    const parts = splitPath(req.params[0]);
+    const ref = db.ref(parts.join('/'));
+    try {
+      switch (req.method) {
+        case 'GET': {
+          if (String(req.get('accept') || '').includes('text/event-stream')) return stream(req, res, parts);
+          let value = (await queryRef(ref, req.query).once('value')).val();
+          if (req.query.shallow === 'true' && value && typeof value === 'object') {
+            value = Object.fromEntries(Object.keys(value).map(k => [k, true]));
+          }
+          if (req.get('x-firebase-etag') === 'true') res.set('ETag', etagOf(await current(parts)));
+          return res.json(value);
+        }
+        case 'PUT':
+          if (!(await checkEtag(req, res, parts))) return;
+          await ref.set(req.body);
+          return res.set('ETag', etagOf(await current(parts))).json(await current(parts));
+        case 'POST': {
+          const child = ref.push();
+          await child.set(req.body);
+          return res.json({ name: child.key });
+        }
+        case 'PATCH':
+          if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            throw new LocalDbError(400, 'PATCH body must be an object');
+          }
+          await ref.update(req.body);
+          return res.json(req.body);
+        case 'DELETE':
+          if (!(await checkEtag(req, res, parts))) return;
+          await ref.remove();
+          return res.json(null);
+        default:
+          throw new LocalDbError(405, `${req.method} not supported`);
+      }
+    } catch (e) {
+      if (!Number.isInteger(e.status)) console.error('localDb error', e);
+      res.status(Number.isInteger(e.status) ? e.status : 500).json({ error: e.message });
+    }
+  });
+
+  app.use((req, res) => res.status(404).json({ error: 'paths must end in .json' }));
+  return app;
+}
+
+// Memory-backed, or file-backed when `file` is set: loaded at start and
+// rewritten (via a temp file) shortly after each change.
+function openLocalDb({ file = '' } = {}) {
+  if (!file) return createMemoryDb();
+  const initial = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8') || 'null') : null;
+  const db = createMemoryDb({ initial });
+  let timer = null;
+  db.onChange(() => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(db.toJSON()));
+      fs.renameSync(tmp, file);
+    }, 200);
+  });
+  return db;
+}
+
+module.exports = { createLocalDbApp, openLocalDb, LocalDbError };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = Number(process.env.LOCAL_DB_PORT || 9000);
+  const file = process.env.LOCAL_DB_FILE ? path.resolve(process.env.LOCAL_DB_FILE) : '';
+  createLocalDbApp({ db: openLocalDb({ file }) }).listen(port, () => {
+    console.log(`Local database listening on :${port}${file ? ` (saving to ${file})` : ' (memory only)'}`);
+  });
+}
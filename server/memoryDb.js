@@ -0,0 +1,248 @@
+// In-memory stand-in for the subset of the firebase-admin Database API the
+// relay uses (ref/child/set/update/push/remove/once/get/transaction and
+// simple queries). Lets the relay run, and be exercised, without Firebase.
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+let lastPushTime = 0;
+let lastRandChars = [];
+
+// Firebase-style push IDs: 8 time chars + 12 random chars, lexicographically
+// ordered by creation time.
+function generatePushId(now = Date.now()) {
+  const duplicateTime = now === lastPushTime;
+  lastPushTime = now;
+  const timeChars = new Array(8);
+  let t = now;
+  for (let i = 7; i >= 0; i--) {
+    timeChars[i] = PUSH_CHARS.charAt(t % 64);
+    t = Math.floor(t / 64);
+  }
+  let id = timeChars.join('');
+  if (!duplicateTime) {
+    lastRandChars = Array.from({ length: 12 }, () => Math.floor(Math.random() * 64));
+  } else {
+    let i = 11;
+    for (; i >= 0 && lastRandChars[i] === 63; i--) lastRandChars[i] = 0;
+    if (i >= 0) lastRandChars[i]++;
+  }
+  for (let i = 0; i < 12; i++) id += PUSH_CHARS.charAt(lastRandChars[i]);
+  return id;
+}
+
+function splitPath(path) {
+  return String(path || '').split('/').filter(Boolean);
+}
+
+function clone(v) {
+  return v === undefined ? null : JSON.parse(JSON.stringify(v));
+}
+
+// Resolves ServerValue placeholders ({'.sv': 'timestamp'} / increment) and
+// prunes nulls and empty objects the way the Realtime Database does.
+function normalize(value, existing, now) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object') return value;
+  if (value['.sv'] !== undefined) {
+    const sv = value['.sv'];
+    if (sv === 'timestamp') return now;
+    if (sv && typeof sv.increment === 'number') {
+      return (typeof existing === 'number' ? existing : 0) + sv.increment;
+    }
+    return null;
+  }
+  if (Array.isArray(value)) {
+    value = Object.assign({}, value);
+  }
+  const out = {};
+  for (const k of Object.keys(value)) {
+    const prev = existing && typeof existing === 'object' ? existing[k] : undefined;
+    const v = normalize(value[k], prev, now);
+    if (v !== null) out[k] = v;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// Reads come back the way the Realtime Database returns them: objects whose
+// keys are mostly-dense integers turn back into arrays.
+function exportValue(value) {
+  if (!value || typeof value !== 'object') return value;
+  const keys = Object.keys(value);
+  const out = {};
+  let max = -1;
+  let integers = true;
+  for (const k of keys) {
+    out[k] = exportValue(value[k]);
+    if (!/^(0|[1-9]\d*)$/.test(k)) integers = false;
+    else max = Math.max(max, Number(k));
+  }
+  if (!integers || keys.length * 2 <= max + 1) return out;
+  return Array.from({ length: max + 1 }, (_, i) => (out[i] === undefined ? null : out[i]));
+}
+
+// `order` keeps query ordering for forEach(); plain objects would hoist
+// integer-like keys to the front.
+function createSnapshot(key, value, order = null) {
+  const val = exportValue(clone(value));
+  return {
+    key,
+    val: () => clone(val),
+    exists: () => val !== null,
+    forEach(cb) {
+      if (!val || typeof val !== 'object') return false;
+      for (const k of order || Object.keys(val)) {
+        if (cb(createSnapshot(k, val[k])) === true) return true;
+      }
+      return false;
+    }
+  };
+}
+
+function compareValues(a, b) {
+  const rank = v => (v === null || v === undefined ? 0 : v === false ? 1 : v === true ? 2 : typeof v === 'number' ? 3 : typeof v === 'string' ? 4 : 5);
+  const ra = rank(a);
+  const rb = rank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 3) return a - b;
+  if (ra === 4) return a < b ? -1 : a > b ? 1 : 0;
+  return 0;
+}
+
+// Applies an RTDB-style query ({ orderBy, startAt, endAt, equalTo,
+// limitToFirst, limitToLast }) to the children of `value`. Returns ordered
+// [key, child] pairs.
+function applyQuery(value, query = {}) {
+  if (!value || typeof value !== 'object') return [];
+  const orderBy = query.orderBy || '$key';
+  const sortValue = (k, v) => {
+    if (orderBy === '$key') return k;
+    if (orderBy === '$value') return v;
+    return v && typeof v === 'object' ? (v[orderBy] === undefined ? null : v[orderBy]) : null;
+  };
+  let entries = Object.keys(value).map(k => [k, value[k]]);
+  entries.sort((a, b) => {
+    const c = compareValues(sortValue(a[0], a[1]), sortValue(b[0], b[1]));
+    return c || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0);
+  });
+  const cmp = (entry, bound) => compareValues(sortValue(entry[0], entry[1]), bound);
+  if (query.equalTo !== undefined) entries = entries.filter(e => cmp(e, query.equalTo) === 0);
+  if (query.startAt !== undefined) entries = entries.filter(e => cmp(e, query.startAt) >= 0);
+  if (query.endAt !== undefined) entries = entries.filter(e => cmp(e, query.endAt) <= 0);
+  if (query.limitToFirst !== undefined) entries = entries.slice(0, query.limitToFirst);
+  if (query.limitToLast !== undefined) entries = entries.slice(-query.limitToLast);
+  return entries;
+}
+
+function createMemoryDb({ initial = null, now = () => Date.now() } = {}) {
+  let root = normalize(clone(initial), null, now());
+  const changeListeners = new Set();
+
+  function read(parts) {
+    let node = root;
+    for (const p of parts) {
+      if (!node || typeof node !== 'object') return null;
+      node = node[p];
+      if (node === undefined) return null;
+    }
+    return node === undefined ? null : node;
+  }
+
+  function write(parts, value) {
+    const next = normalize(value, read(parts), now());
+    if (!parts.length) {
+      root = next;
+    } else {
+      if (!root || typeof root !== 'object') root = {};
+      const stack = [root];
+      let node = root;
+      for (let i = 0; i < parts.length - 1; i++) {
+        if (!node[parts[i]] || typeof node[parts[i]] !== 'object') node[parts[i]] = {};
+        node = node[parts[i]];
+        stack.push(node);
+      }
+      if (next === null) delete node[parts[parts.length - 1]];
+      else node[parts[parts.length - 1]] = next;
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (Object.keys(stack[i]).length) break;
+        delete stack[i - 1][parts[i - 1]];
+      }
+      if (!Object.keys(root).length) root = null;
+    }
+    const path = '/' + parts.join('/');
+    changeListeners.forEach(cb => cb(path, clone(next)));
+  }
+
+  function makeRef(parts, query = null) {
+    const key = parts.length ? parts[parts.length - 1] : null;
+    const withQuery = extra => makeRef(parts, Object.assign({}, query, extra));
+
+    function snapshot() {
+      const value = read(parts);
+      if (!query) return createSnapshot(key, value);
+      const entries = applyQuery(value, query);
+      return createSnapshot(key, entries.length ? Object.fromEntries(entries) : null, entries.map(e => e[0]));
+    }
+
+    const ref = {
+      key,
+      path: '/' + parts.join('/'),
+      child: p => makeRef(parts.concat(splitPath(p))),
+      orderByKey: () => withQuery({ orderBy: '$key' }),
+      orderByValue: () => withQuery({ orderBy: '$value' }),
+      orderByChild: c => withQuery({ orderBy: c }),
+      startAt: v => withQuery({ startAt: v }),
+      endAt: v => withQuery({ endAt: v }),
+      equalTo: v => withQuery({ equalTo: v }),
+      limitToFirst: n => withQuery({ limitToFirst: n }),
+      limitToLast: n => withQuery({ limitToLast: n }),
+
+      async once(eventType = 'value') {
+        if (eventType !== 'value') throw new Error(`memoryDb: once('${eventType}') not supported`);
+        return snapshot();
+      },
+      async get() {
+        return snapshot();
+      },
+      async set(value) {
+        write(parts, clone(value));
+      },
+      async update(values) {
+        for (const k of Object.keys(values || {})) {
+          write(parts.concat(splitPath(k)), clone(values[k]));
+        }
+      },
+      async remove() {
+        write(parts, null);
+      },
+      push(value) {
+        const child = makeRef(parts.concat(generatePushId(now())));
+        if (value === undefined) return child;
+        const p = child.set(value).then(() => child);
+        return Object.assign(p, { key: child.key, ref: child });
+      },
+      // Runs synchronously against the live tree, so it is atomic by
+      // construction; `undefined` from the update function aborts.
+      async transaction(updateFn) {
+        const current = exportValue(clone(read(parts)));
+        const next = updateFn(current);
+        if (next === undefined) {
+          return { committed: false, snapshot: createSnapshot(key, current) };
+        }
+        write(parts, clone(next));
+        return { committed: true, snapshot: createSnapshot(key, read(parts)) };
+      }
+    };
+    return ref;
+  }
+
+  return {
+    ref: path => makeRef(splitPath(path)),
+    // Receives (path, newValue) after every write.
+    onChange(cb) {
+      changeListeners.add(cb);
+      return () => changeListeners.delete(cb);
+    },
+    toJSON: () => clone(root)
+  };
+}
+
+module.exports = { createMemoryDb, generatePushId, applyQuery, normalize, exportValue, createSnapshot, splitPath };
@@ -0,0 +1,119 @@
+// Relay metrics in the Prometheus text format (GET /metrics) and as a JSON
+// summary (GET /admin/metrics) for the settings panel. Counters and
+// histograms are kept per label set:
+//   counter(name, help)              -> { inc(labels, n = 1) }
+//   histogram(name, help, buckets)   -> { observe(labels, value) }
+//   gauge(name, help, collect)       -> collect() returns [[labels, value]]
+//   counterFrom(name, help, collect) -> the same, for totals kept elsewhere
+// Everything is in memory and starts from zero when the relay restarts, as
+// Prometheus expects of counters.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (!keys.length) return '';
+  return `{${keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',')}}`;
+}
+
+// Stable key for a label set, whatever order the labels were given in.
+const labelKey = labels => JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+
+function createMetrics({ prefix = 'plinkoo_' } = {}) {
+  const metrics = [];
+
+  function counter(name, help) {
+    const series = new Map();
+    metrics.push({
+      name: prefix + name,
+      help,
+      type: 'counter',
+      lines: () => [...series.values()].map(s => `${prefix}${name}${formatLabels(s.labels)} ${s.value}`),
+      summary: () => [...series.values()].map(s => ({ labels: s.labels, value: s.value }))
+    });
+    return {
+      inc(labels = {}, n = 1) {
+        const key = labelKey(labels);
+        const s = series.get(key) || { labels: { ...labels }, value: 0 };
+        s.value += n;
+        series.set(key, s);
+      }
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    metrics.push({
+      name: prefix + name,
+      help,
+      type: 'histogram',
+      lines: () => [...series.values()].flatMap(s => [
+        ...buckets.map((le, i) => `${prefix}${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+        `${prefix}${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+        `${prefix}${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+        `${prefix}${name}_count${formatLabels(s.labels)} ${s.count}`
+      ]),
+      summary: () => [...series.values()].map(s => ({
+        labels: s.labels,
+        count: s.count,
+        avg: s.count ? s.sum / s.count : null,
+        p50: quantile(s, 0.5),
+        p95: quantile(s, 0.95)
+      }))
+    });
+
+    // Upper bound of the bucket the quantile falls in; good enough for a panel.
+    function quantile(s, q) {
+      if (!s.count) return null;
+      const i = s.counts.findIndex(c => c >= q * s.count);
+      return i === -1 ? buckets[buckets.length - 1] : buckets[i];
+    }
+
+    return {
+      observe(labels = {}, value) {
+        const key = labelKey(labels);
+        const s = series.get(key) || { labels: { ...labels }, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((le, i) => {
+          if (value <= le) s.counts[i]++;
+        });
+        s.sum += value;
+        s.count++;
+        series.set(key, s);
+      }
+    };
+  }
+
+  function collected(type, name, help, collect) {
+    const read = () => {
+      try {
+        return collect();
+      } catch (e) {
+        return [];
+      }
+    };
+    metrics.push({
+      name: prefix + name,
+      help,
+      type,
+      lines: () => read().map(([labels, value]) => `${prefix}${name}${formatLabels(labels)} ${Number(value) || 0}`),
+      summary: () => read().map(([labels, value]) => ({ labels, value: Number(value) || 0 }))
+    });
+  }
+
+  const gauge = (name, help, collect) => collected('gauge', name, help, collect);
+  const counterFrom = (name, help, collect) => collected('counter', name, help, collect);
+
+  function render() {
+    return metrics.map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join('\n')).join('\n') + '\n';
+  }
+
+  function summary() {
+    return Object.fromEntries(metrics.map(m => [m.name.slice(prefix.length), m.summary()]));
+  }
+
+  return { counter, histogram, gauge, counterFrom, render, summary };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
@@ -0,0 +1,159 @@
+/* eslint-disable no-console */
+// Moderation state, stored under /moderation and cached in memory:
+//   users/<key>: { username, action, until, reason, by, at }
+//     ban  - every event from the viewer is ignored
+//     mute - their chat is ignored; gifts still drop (they paid for them)
+//     `until` is a time in ms, or null for no expiry.
+//   words: [...] - display names have these masked with '*'
+const { leaderboardKey } = require('./scoring');
+
+const ACTIONS = ['ban', 'mute'];
+
+class ModerationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const lower = s => String(s || '').trim().toLowerCase();
+
+function compileWords(words) {
+  const escaped = words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return escaped.length ? new RegExp(escaped.join('|'), 'gi') : null;
+}
+
+function createModeration({ store, timestamp = () => Date.now() }) {
+  const users = new Map(); // lower-case username -> entry
+  let words = [];
+  let pattern = null;
+
+  const userKey = name => leaderboardKey(lower(name));
+
+  async function load() {
+    const [stored, storedWords] = await Promise.all([store.moderation.all(), store.bannedWords.get()]);
+    users.clear();
+    for (const entry of Object.values(stored)) {
+      if (entry && entry.username) users.set(lower(entry.username), entry);
+    }
+    words = Array.isArray(storedWords) ? storedWords.map(lower).filter(Boolean) : [];
+    pattern = compileWords(words);
+  }
+
+  function maskName(name) {
+    return pattern ? String(name).replace(pattern, m => '*'.repeat(m.length)) : name;
+  }
+
+  // The viewer's live restriction, if any; expired ones are cleared.
+  function lookup(name, now = timestamp()) {
+    const entry = users.get(lower(name));
+    if (!entry) return null;
+    if (entry.until && entry.until <= now) {
+      users.delete(lower(name));
+      store.moderation.remove(userKey(name)).catch(e => console.error('moderation expiry failed', e));
+      return null;
+    }
+    return entry;
+  }
+
+  // 'banned', 'muted' or null for an inbound event. Matches the name as sent
+  // and as displayed (masked), since admins act on what they see.
+  function check(evt, now = timestamp()) {
+    const entry = lookup(evt.username, now) || lookup(maskName(evt.username), now);
+    if (!entry) return null;
+    return entry.action === 'ban' ? 'banned' : 'muted';
+  }
+
+  async function restrict({ username, action, minutes, reason = '', by = 'admin' }) {
+    if (!ACTIONS.includes(action)) throw new ModerationError(400, `action must be one of ${ACTIONS.join(', ')}`);
+    if (!lower(username)) throw new ModerationError(400, 'username required');
+    if (minutes != null && !(Number(minutes) > 0)) throw new ModerationError(400, 'minutes must be > 0');
+    const now = timestamp();
+    const entry = {
+      username: String(username).trim(),
+      action,
+      until: minutes == null ? null : now + Number(minutes) * 60000,
+      reason: String(reason).slice(0, 200),
+      by,
+      at: now
+    };
+    await store.moderation.set(userKey(username), entry);
+    users.set(lower(username), entry);
+    return entry;
+  }
+
+  async function lift(username) {
+    const existed = users.delete(lower(username));
+    await store.moderation.remove(userKey(username));
+    return existed;
+  }
+
+  function list(now = timestamp()) {
+    return [...users.values()].filter(e => lookup(e.username, now));
+  }
+
+  async function setWords(list) {
+    if (!Array.isArray(list) || list.some(w => typeof w !== 'string')) {
+      throw new ModerationError(400, 'words must be an array of strings');
+    }
+    const next = [...new Set(list.map(lower).filter(Boolean))];
+    await store.bannedWords.set(next);
+    words = next;
+    pattern = compileWords(words);
+    return words;
+  }
+
+  // Removes everything one room's data (the default room's unless
+  // `roomStore` is given) keeps about the viewer, so /viewers no longer finds
+  // them: the leaderboard entry, point history, redemptions and drops. Only
+  // drops a display is still playing stay, until their balls land.
+  // Leaderboard keys keep the viewer's own casing, so entries are also found
+  // by their lower-cased username, like everything else here.
+  async function purge(username, roomStore = store) {
+    if (!lower(username)) throw new ModerationError(400, 'username required');
+    const given = String(username).trim();
+    const matches = await roomStore.leaderboard.query({ orderBy: 'usernameLower', equalTo: lower(given) });
+    const names = new Set([given, ...matches.map(([, entry]) => entry.username)]);
+    const keys = new Set([...names].map(name => leaderboardKey(name)));
+    for (const key of keys) {
+      await roomStore.leaderboard.remove(key);
+      await roomStore.ledger(key).clear();
+    }
+
+    let redemptions = 0;
+    const dropIds = new Set();
+    for (const name of names) {
+      for (const [id] of await roomStore.redemptions.query({ orderBy: 'username', equalTo: name })) {
+        await roomStore.redemptions.remove(id);
+        redemptions++;
+      }
+      for (const [id] of await roomStore.drops.query({ orderBy: 'username', equalTo: name })) dropIds.add(id);
+    }
+    for (const [id, evt] of await roomStore.events.query({ last: 500 })) {
+      if (evt && evt.dropId && lower(evt.username) === lower(given)) dropIds.add(id);
+    }
+    let events = 0;
+    for (const id of dropIds) {
+      const drop = await roomStore.drops.get(id);
+      if (drop && drop.claim && Object.keys(drop.landed || {}).length < (drop.balls || 1)) continue;
+      await roomStore.events.remove(id);
+      await roomStore.drops.remove(id);
+      events++;
+    }
+    return { events, redemptions };
+  }
+
+  return {
+    load,
+    check,
+    maskName,
+    restrict,
+    lift,
+    list,
+    words: () => [...words],
+    setWords,
+    purge
+  };
+}
+
+module.exports = { createModeration, ModerationError, ACTIONS };
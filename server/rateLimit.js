@@ -0,0 +1,154 @@
+// Inbound rate limiting. Each viewer gets a token bucket per event class
+// (chat drops, gifts, redemptions), so a `!drop` never eats the token a gift
+// needs. A bucket holds up to `burst` tokens and regains one every
+// `refillMs`; a bucket that has refilled completely is the same as a new one
+// and is forgotten, which keeps memory bounded on long streams.
+//
+// On top of that a global bucket caps work at `perSec` per second. Work over
+// the cap waits in a FIFO queue (up to `maxQueue`) instead of being dropped.
+
+class RateLimitError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// field -> [test, what it must be]
+const CHECKS = {
+  burst: [v => Number.isInteger(v) && v >= 1, 'an integer >= 1'],
+  refillMs: [v => Number.isFinite(v) && v >= 0, 'a number >= 0'],
+  perSec: [v => Number.isFinite(v) && v > 0, 'a positive number'],
+  maxQueue: [v => Number.isInteger(v) && v >= 0, 'an integer >= 0']
+};
+
+function check(name, values) {
+  for (const [field, value] of Object.entries(values)) {
+    const [test, expect] = CHECKS[field];
+    if (!test(value)) throw new RateLimitError(400, `${name}.${field} must be ${expect}`);
+  }
+  return values;
+}
+
+const validateClass = (name, { burst, refillMs }) => check(name, { burst, refillMs });
+
+function createRateLimiter({ classes, perSec = 20, maxQueue = 1000, now: clock = () => Date.now() }) {
+  check('global', { perSec, maxQueue });
+  const config = {};
+  const buckets = {}; // class -> Map(user -> { tokens, at })
+  for (const [name, c] of Object.entries(classes)) {
+    config[name] = validateClass(name, c);
+    buckets[name] = new Map();
+  }
+  const stats = { allowed: 0, limited: 0, delayed: 0, rejected: 0 };
+  let lastSweep = 0;
+
+  function level(c, bucket, now) {
+    if (!c.refillMs) return c.burst;
+    return Math.min(c.burst, bucket.tokens + Math.max(0, now - bucket.at) / c.refillMs);
+  }
+
+  function sweep(now) {
+    lastSweep = now;
+    for (const [name, map] of Object.entries(buckets)) {
+      for (const [user, b] of map) if (level(config[name], b, now) >= config[name].burst) map.delete(user);
+    }
+  }
+
+  // Takes a token from the viewer's bucket for `cls`. `now` is the event's
+  // own time, so replays reproduce live limits.
+  function take(cls, user, now = clock()) {
+    const c = config[cls];
+    if (!c) throw new RateLimitError(500, `unknown rate limit class ${cls}`);
+    if (now - lastSweep > 60000) sweep(now);
+    const map = buckets[cls];
+    const tokens = level(c, map.get(user) || { tokens: c.burst, at: now }, now);
+    if (tokens < 1) {
+      stats.limited++;
+      return false;
+    }
+    map.set(user, { tokens: tokens - 1, at: now });
+    stats.allowed++;
+    return true;
+  }
+
+  // Global cap (wall-clock time: it paces real writes).
+  const queue = [];
+  let tokens = perSec;
+  let at = clock();
+  let timer = null;
+
+  function refillGlobal() {
+    const t = clock();
+    tokens = Math.min(perSec, tokens + (Math.max(0, t - at) * perSec) / 1000);
+    at = t;
+  }
+
+  function drain() {
+    timer = null;
+    refillGlobal();
+    while (queue.length && tokens >= 1) {
+      tokens--;
+      const job = queue.shift();
+      Promise.resolve().then(job.task).then(value => job.resolve({ ran: true, value }), job.reject);
+    }
+    if (queue.length) timer = setTimeout(drain, Math.ceil(((1 - tokens) * 1000) / perSec));
+  }
+
+  // Runs `task` now if under the global cap, otherwise once its turn comes.
+  // Returns false if the queue is full, else a promise of { ran: true, value }
+  // or { ran: false } if the job was purged while waiting.
+  function schedule(task, tag = null) {
+    if (queue.length >= maxQueue) {
+      stats.rejected++;
+      return false;
+    }
+    return new Promise((resolve, reject) => {
+      const job = { task, tag, resolve, reject };
+      queue.push(job);
+      if (!timer) drain();
+      if (queue[queue.length - 1] === job) stats.delayed++;
+    });
+  }
+
+  // Drops waiting jobs with this tag; returns how many.
+  function purge(tag) {
+    let removed = 0;
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (queue[i].tag !== tag) continue;
+      queue.splice(i, 1)[0].resolve({ ran: false });
+      removed++;
+    }
+    return removed;
+  }
+
+  // { chat: { burst, refillMs }, ... } merged over the current settings;
+  // throws without changing anything if any class is invalid.
+  function validate(patches) {
+    const next = { ...config };
+    for (const [cls, patch] of Object.entries(patches || {})) {
+      if (!config[cls]) throw new RateLimitError(400, `unknown rate limit class ${cls}`);
+      next[cls] = validateClass(cls, { ...config[cls], ...patch });
+    }
+    return next;
+  }
+
+  function configure(patches) {
+    return Object.assign(config, validate(patches));
+  }
+
+  function status() {
+    refillGlobal();
+    const perClass = {};
+    for (const [name, c] of Object.entries(config)) perClass[name] = { ...c, tracked: buckets[name].size };
+    return {
+      classes: perClass,
+      global: { perSec, tokens: Math.floor(tokens), queued: queue.length, maxQueue },
+      ...stats
+    };
+  }
+
+  return { take, schedule, purge, validate, configure, status, config: () => JSON.parse(JSON.stringify(config)) };
+}
+
+module.exports = { createRateLimiter, RateLimitError };
@@ -0,0 +1,111 @@
+// The firebase-admin Database subset the relay uses (same as memoryDb.js),
+// over the Realtime Database REST API. Used with LOCAL_DB_URL to run the relay
+// against the local stand-in (localDb.js). Transactions retry on ETag
+// conflicts, so concurrent writers behave like the real database.
+const { generatePushId, applyQuery, createSnapshot, splitPath } = require('./memoryDb');
+
+const MAX_TRANSACTION_TRIES = 25;
+
+class RestDbError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function createRestDb({ url, fetch: fetchImpl = fetch }) {
+  const base = String(url).replace(/\/+$/, '');
+
+  async function request(method, parts, { body, query, headers } = {}) {
+    const qs = query ? '?' + new URLSearchParams(query).toString() : '';
+    const res = await fetchImpl(`${base}/${parts.join('/')}.json${qs}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (!res.ok && res.status !== 412) {
+      const text = await res.text().catch(() => '');
+      throw new RestDbError(res.status, `${method} /${parts.join('/')} failed: ${res.status} ${text}`);
+    }
+    return res;
+  }
+
+  // RTDB query -> REST params (values JSON-encoded, as the REST API expects).
+  function restQuery(query) {
+    if (!query) return undefined;
+    const out = { orderBy: JSON.stringify(query.orderBy || '$key') };
+    for (const k of ['startAt', 'endAt', 'equalTo', 'limitToFirst', 'limitToLast']) {
+      if (query[k] !== undefined) out[k] = JSON.stringify(query[k]);
+    }
+    return out;
+  }
+
+  function makeRef(parts, query = null) {
+    const key = parts.length ? parts[parts.length - 1] : null;
+    const withQuery = extra => makeRef(parts, Object.assign({}, query, extra));
+
+    // REST results are unordered; the query is re-applied for forEach() order.
+    async function snapshot() {
+      const value = await (await request('GET', parts, { query: restQuery(query) })).json();
+      if (!query) return createSnapshot(key, value);
+      const entries = applyQuery(value, query);
+      return createSnapshot(key, entries.length ? Object.fromEntries(entries) : null, entries.map(e => e[0]));
+    }
+
+    const ref = {
+      key,
+      path: '/' + parts.join('/'),
+      child: p => makeRef(parts.concat(splitPath(p))),
+      orderByKey: () => withQuery({ orderBy: '$key' }),
+      orderByValue: () => withQuery({ orderBy: '$value' }),
+      orderByChild: c => withQuery({ orderBy: c }),
+      startAt: v => withQuery({ startAt: v }),
+      endAt: v => withQuery({ endAt: v }),
+      equalTo: v => withQuery({ equalTo: v }),
+      limitToFirst: n => withQuery({ limitToFirst: n }),
+      limitToLast: n => withQuery({ limitToLast: n }),
+
+      async once(eventType = 'value') {
+        if (eventType !== 'value') throw new Error(`restDb: once('${eventType}') not supported`);
+        return snapshot();
+      },
+      get: snapshot,
+      async set(value) {
+        await request('PUT', parts, { body: value === undefined ? null : value });
+      },
+      async update(values) {
+        await request('PATCH', parts, { body: values || {} });
+      },
+      async remove() {
+        await request('DELETE', parts);
+      },
+      // Push IDs are made here, as the SDK does, so the key is known at once.
+      push(value) {
+        const child = makeRef(parts.concat(generatePushId()));
+        if (value === undefined) return child;
+        const p = child.set(value).then(() => child);
+        return Object.assign(p, { key: child.key, ref: child });
+      },
+      // Read with an ETag, write with if-match, and start over if someone
+      // else wrote in between. `undefined` from the update function aborts.
+      async transaction(updateFn) {
+        for (let i = 0; i < MAX_TRANSACTION_TRIES; i++) {
+          const res = await request('GET', parts, { headers: { 'X-Firebase-ETag': 'true' } });
+          const etag = res.headers.get('etag');
+          const current = await res.json();
+          const next = updateFn(current);
+          if (next === undefined) return { committed: false, snapshot: createSnapshot(key, current) };
+          const put = await request('PUT', parts, { body: next === null ? null : next, headers: { 'if-match': etag } });
+          if (put.status === 412) continue;
+          return { committed: true, snapshot: createSnapshot(key, await put.json()) };
+        }
+        throw new RestDbError(409, `transaction on /${parts.join('/')} kept conflicting`);
+      }
+    };
+    return ref;
+  }
+
+  return { ref: p => makeRef(splitPath(p)) };
+}
+
+module.exports = { createRestDb, RestDbError };
@@ -0,0 +1,173 @@
+/* eslint-disable no-console */
+// Retention for /events (one per room, see room.js). A run removes events
+// past `maxAgeMs`, and the oldest settled ones beyond the newest `maxEvents`,
+// together with their /drops records. Settled means nothing can still happen
+// to it: not a drop, or a drop whose balls have all landed. Expired drops go
+// whether they landed or not.
+//
+// With `archive` on, removed events are first archived by the UTC day of
+// their timestamp. Each run adds one part per day it touched, and never
+// rewrites an earlier one; a small summary per day keeps the totals:
+//   eventArchive/<YYYY-MM-DD>/<seq>: { count, first, last, rawBytes, bytes,
+//                                      encoding: 'jsonl+deflate+base64', data }
+//   eventArchiveDays/<YYYY-MM-DD>:   { day, parts, count, first, last, rawBytes, bytes }
+// `seq` is the part number, zero-padded so parts sort in order. `data` is
+// deflated JSON lines of [id, event, drop] where drop is
+// { balls, landed: [slot or null per ball], points, claimedBy } or null.
+const zlib = require('zlib');
+
+const ENCODING = 'jsonl+deflate+base64';
+const COUNT_MAX = 10000;
+const SEQ_WIDTH = 6;
+
+const dayOf = ts => new Date(ts).toISOString().slice(0, 10);
+
+function encodeLines(lines) {
+  const raw = lines.map(l => JSON.stringify(l)).join('\n');
+  const data = zlib.deflateSync(Buffer.from(raw, 'utf8')).toString('base64');
+  return { data, rawBytes: Buffer.byteLength(raw, 'utf8'), bytes: data.length };
+}
+
+function decodeChunk(chunk) {
+  if (!chunk || !chunk.data) return [];
+  if (chunk.encoding !== ENCODING) throw new Error(`unknown archive encoding ${chunk.encoding}`);
+  const raw = zlib.inflateSync(Buffer.from(chunk.data, 'base64')).toString('utf8');
+  return raw ? raw.split('\n').map(line => JSON.parse(line)) : [];
+}
+
+// What analytics needs from a drop record, without the claim bookkeeping.
+function summarizeDrop(drop) {
+  if (!drop) return null;
+  const balls = drop.balls || 1;
+  const landed = Array.from({ length: balls }, (_, i) => (drop.landed && drop.landed[i] ? drop.landed[i].slot : null));
+  const points = Object.values(drop.landed || {}).reduce((sum, l) => sum + (l.points || 0), 0);
+  return { balls, landed, points, claimedBy: drop.claim ? drop.claim.displayId : null };
+}
+
+const settled = drop => !drop || Object.keys(drop.landed || {}).length >= (drop.balls || 1);
+
+// `intervalMs` is how often start() runs it (0 = only on run()).
+function createRetention({ store, maxAgeMs = 0, maxEvents = 0, archive = true, intervalMs = 0, batch = 500, timestamp = () => Date.now() }) {
+  const totals = { runs: 0, removed: 0, archived: 0 };
+  let lastRun = null;
+  let running = null;
+
+  // At most `batch` per run so a backlog is worked off gradually. Neither read
+  // downloads all of /events: expired events come by timestamp up to the age
+  // cutoff, and the overflow from the oldest `batch + maxEvents` by key, which
+  // is enough to tell which of the oldest `batch` lie beyond the newest
+  // `maxEvents` (all of them when the read comes back full).
+  async function selectExpired(now) {
+    const picked = [];
+    const seen = new Set();
+    const pick = async ([id, event], test) => {
+      if (seen.has(id) || picked.length >= batch) return;
+      const drop = event && event.dropId ? await store.drops.get(id) : null;
+      if (test(drop)) {
+        seen.add(id);
+        picked.push([id, event, drop]);
+      }
+    };
+    if (maxAgeMs > 0) {
+      const expired = await store.events.query({ orderBy: 'timestamp', endAt: now - maxAgeMs, first: batch });
+      for (const row of expired) await pick(row, () => true);
+    }
+    if (maxEvents > 0 && picked.length < batch) {
+      const oldest = await store.events.query({ first: batch + maxEvents });
+      const overflow = Math.max(0, oldest.length - maxEvents);
+      for (const row of oldest.slice(0, overflow)) await pick(row, settled);
+    }
+    return picked.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  }
+
+  async function appendToArchive(rows) {
+    const byDay = new Map();
+    for (const [id, event, drop] of rows) {
+      const day = dayOf((event && event.timestamp) || 0);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push([id, event, summarizeDrop(drop)]);
+    }
+    // The part goes in before the summary counts it: if the run stops in
+    // between, its events are still in /events and the next run writes the
+    // same part again.
+    for (const [day, lines] of byDay) {
+      const summary = (await store.eventArchiveDays.get(day)) || { day, parts: 0, count: 0, first: null, last: null, rawBytes: 0, bytes: 0 };
+      const times = lines.map(([, e]) => (e && e.timestamp) || 0);
+      const part = { count: lines.length, first: Math.min(...times), last: Math.max(...times), encoding: ENCODING, ...encodeLines(lines) };
+      await store.eventArchive(day).set(String(summary.parts).padStart(SEQ_WIDTH, '0'), part);
+      await store.eventArchiveDays.set(day, {
+        day,
+        parts: summary.parts + 1,
+        count: summary.count + part.count,
+        first: summary.first == null ? part.first : Math.min(summary.first, part.first),
+        last: summary.last == null ? part.last : Math.max(summary.last, part.last),
+        rawBytes: summary.rawBytes + part.rawBytes,
+        bytes: summary.bytes + part.bytes
+      });
+    }
+  }
+
+  async function execute() {
+    const started = timestamp();
+    const rows = await selectExpired(started);
+    if (rows.length && archive) await appendToArchive(rows);
+    for (const [id, event] of rows) {
+      await store.events.remove(id);
+      if (event && event.dropId) await store.drops.remove(id);
+    }
+    totals.runs++;
+    totals.removed += rows.length;
+    if (archive) totals.archived += rows.length;
+    lastRun = { at: started, ms: timestamp() - started, removed: rows.length, archived: archive ? rows.length : 0 };
+    if (rows.length) console.log(`Retention: removed ${rows.length} events${archive ? ' (archived)' : ''}`);
+    return lastRun;
+  }
+
+  // Overlapping calls (timer and admin) share one run.
+  function run() {
+    if (!running) running = execute().finally(() => { running = null; });
+    return running;
+  }
+
+  // /events is counted with a bounded read: past COUNT_MAX it reports
+  // COUNT_MAX and `eventsCapped`.
+  async function size() {
+    const [live, summaries] = await Promise.all([store.events.query({ last: COUNT_MAX + 1 }), store.eventArchiveDays.all()]);
+    const days = Object.values(summaries || {});
+    return {
+      events: Math.min(live.length, COUNT_MAX),
+      eventsCapped: live.length > COUNT_MAX,
+      archive: {
+        days: days.length,
+        events: days.reduce((n, c) => n + (c.count || 0), 0),
+        bytes: days.reduce((n, c) => n + (c.bytes || 0), 0),
+        rawBytes: days.reduce((n, c) => n + (c.rawBytes || 0), 0)
+      }
+    };
+  }
+
+  // Archived rows of one day, decoded, part by part.
+  async function readDay(day) {
+    const parts = await store.eventArchive(day).query();
+    return parts.flatMap(([, part]) => decodeChunk(part));
+  }
+
+  let timer = null;
+  return {
+    run,
+    size,
+    readDay,
+    start() {
+      if (!intervalMs || timer) return;
+      timer = setInterval(() => run().catch(e => console.error('retention run failed', e)), intervalMs);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    status: () => ({ maxAgeMs, maxEvents, archive, intervalMs, lastRun, ...totals })
+  };
+}
+
+module.exports = { createRetention, decodeChunk, summarizeDrop };
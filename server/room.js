@@ -0,0 +1,376 @@
+/* eslint-disable no-console */
+// One room: a creator's overlay with its own event sources, rate limits,
+// versioned config (configStore.js), and events / leaderboard / ledger in its
+// storage namespace (storage/index.js room(id); the default room uses the
+// root paths). server.js routes HTTP requests and rooms.js keeps the list;
+// moderation, admin accounts and the audit log are shared by all rooms.
+const { createScoring, leaderboardKey } = require('./scoring');
+const { createLedger, tierCost } = require('./ledger');
+const { createStream } = require('./stream');
+const { createClaims } = require('./claims');
+const { createSources } = require('./sources');
+const { createCommandRegistry, validateCommands, DEFAULT_COMMANDS } = require('./commands');
+const { createGiftRules, validateGiftRules, DEFAULT_GIFT_RULES, STREAK_MODES } = require('./gifts');
+const { createTriggers, validateTriggers, DEFAULT_TRIGGERS, TRIGGER_TYPES } = require('./triggers');
+const { createConfigStore, ConfigError } = require('./configStore');
+const { createRateLimiter } = require('./rateLimit');
+const { createRetention } = require('./retention');
+const { createSeasons } = require('./seasons');
+const { createScheduler } = require('./scheduler');
+const { createWebhooks } = require('./webhooks');
+const { createViewers } = require('./viewers');
+const EventSchema = require('../js/eventSchema');
+
+// Resolved to the write time by the storage layer.
+const SERVER_TIMESTAMP = { '.sv': 'timestamp' };
+
+class EventError extends Error {
+  constructor(errors) {
+    super(`invalid event: ${errors.join('; ')}`);
+    this.status = 400;
+  }
+}
+
+// Every /events write goes through the shared schema (js/eventSchema.js).
+function checkEvent(obj) {
+  const result = EventSchema.parseEvent({
+    ...obj,
+    v: EventSchema.VERSION,
+    timestamp: SERVER_TIMESTAMP
+  });
+  if (!result.ok) {
+    console.warn(`Rejected ${obj.type || 'untyped'} event: ${result.errors.join('; ')}`);
+    throw new EventError(result.errors);
+  }
+  return result.event;
+}
+
+// Outcomes that wrote to /events.
+const PUSHED = /^(drop|redeem-fulfilled)$/;
+
+// `settings` are the env defaults (server.js ROOM_SETTINGS); a room's stored
+// config overrides them once loaded. `sources` / `sourceOptions` are as for
+// sources/index.js; `onRaw(raw, evt)` sees every inbound event (recording).
+// `metrics` holds the shared instruments, labelled here with the room.
+function createRoom({ id, store, settings, sources: sourceNames = [], sourceOptions = {}, moderation, metrics, onRaw }) {
+  let spawnCooldownMs = settings.spawnCooldownMs;
+  let spawnEnabled = settings.spawnEnabled;
+  let streakMode = settings.streakMode;
+  // Effect of the scheduled rules running now (scheduler.js), over the config.
+  let overrides = {};
+  const spawning = () => (overrides.spawnEnabled === undefined ? spawnEnabled : overrides.spawnEnabled);
+
+  const countWrite = (type, write) => write.then(result => {
+    metrics.eventWrites.inc({ room: id, type, result: 'ok' });
+    return result;
+  }, e => {
+    metrics.eventWrites.inc({ room: id, type, result: 'failed' });
+    throw e;
+  });
+
+  function pushEvent(obj) {
+    const event = checkEvent(obj);
+    return countWrite(event.type, store.events.push(event));
+  }
+
+  const webhooks = createWebhooks({
+    store,
+    room: id,
+    retry: settings.webhookRetry,
+    count: labels => metrics.webhookDeliveries.inc({ room: id, ...labels })
+  });
+
+  // Jackpots and score milestones go out as webhooks.
+  function onLanding({ dropId, slot, points, username, avatarUrl, score, jackpot }) {
+    if (jackpot) webhooks.notify('jackpot', { username, avatarUrl, slot, points, score, dropId });
+    for (const milestone of settings.milestones) {
+      if (score - points < milestone && score >= milestone) webhooks.notify('milestone', { username, avatarUrl, milestone, score });
+    }
+  }
+
+  const ledger = createLedger({
+    store,
+    costs: settings.rewardCosts,
+    async emit(event) {
+      const result = await pushEvent(event);
+      if (event.type === 'redeem') {
+        const { username, avatarUrl, tier, redemptionId } = event;
+        webhooks.notify('redemption', { username, avatarUrl, tier, cost: settings.rewardCosts[tier], redemptionId });
+      }
+      return result;
+    }
+  });
+  const scoring = createScoring({ store, ledger, multiplier: () => overrides.pointsMultiplier || 1, onLanding });
+  const seasons = createSeasons({ store, exclusive: ledger.exclusive });
+  const viewers = createViewers({ store, ledger, seasons });
+  const claims = createClaims({ store, leaseMs: settings.claimLeaseMs, staleMs: settings.displayStaleMs });
+  const commands = createCommandRegistry();
+  const giftRules = createGiftRules();
+  const triggers = createTriggers();
+  const limiter = createRateLimiter({
+    classes: {
+      chat: { burst: settings.chatBurst, refillMs: spawnCooldownMs },
+      gift: { burst: settings.giftBurst, refillMs: settings.giftRefillMs },
+      redeem: { burst: settings.redeemBurst, refillMs: settings.redeemRefillMs }
+    },
+    perSec: settings.eventsPerSec,
+    maxQueue: settings.eventQueueMax
+  });
+  const stream = createStream({ store });
+  const retention = createRetention({ store, ...settings.retention });
+
+  function validateConfig(c) {
+    if (typeof c.spawnEnabled !== 'boolean') throw new ConfigError(400, 'spawnEnabled must be a boolean');
+    if (!STREAK_MODES.includes(c.streakMode)) throw new ConfigError(400, `streakMode must be one of ${STREAK_MODES.join(', ')}`);
+    return {
+      spawnEnabled: c.spawnEnabled,
+      streakMode: c.streakMode,
+      commands: validateCommands(c.commands),
+      giftRules: validateGiftRules(c.giftRules),
+      triggers: validateTriggers(c.triggers),
+      rateLimits: limiter.validate(c.rateLimits)
+    };
+  }
+
+  function applyConfig(c) {
+    spawnEnabled = c.spawnEnabled;
+    streakMode = c.streakMode;
+    commands.replace(c.commands);
+    giftRules.replace(c.giftRules);
+    triggers.replace(c.triggers);
+    limiter.configure(c.rateLimits);
+    spawnCooldownMs = c.rateLimits.chat.refillMs;
+    if (overrides.cooldownMs !== undefined) limiter.configure({ chat: { refillMs: overrides.cooldownMs } });
+  }
+
+  const configStore = createConfigStore({
+    store,
+    defaults: {
+      spawnEnabled,
+      streakMode,
+      commands: DEFAULT_COMMANDS,
+      giftRules: DEFAULT_GIFT_RULES,
+      triggers: DEFAULT_TRIGGERS,
+      rateLimits: limiter.config()
+    },
+    validate: validateConfig,
+    apply: applyConfig
+  });
+
+  const scheduler = createScheduler({
+    store,
+    timeZone: settings.scheduleTimeZone,
+    onChange(effect) {
+      overrides = effect;
+      limiter.configure({ chat: { refillMs: effect.cooldownMs === undefined ? spawnCooldownMs : effect.cooldownMs } });
+    }
+  });
+
+  // The config as admins see it; cooldownMs is short for rateLimits.chat.refillMs.
+  function configView() {
+    return { ...configStore.get(), cooldownMs: spawnCooldownMs };
+  }
+
+  // Ball-spawning events (drop, gift) carry a server-issued dropId the display
+  // reports back. The event is checked before the drop is issued.
+  // `multiplier` scales the drop's points (triggers.js).
+  async function pushDrop({ type = 'drop', username, avatarUrl, balls = 1, multiplier = 1, ...fields }) {
+    const event = checkEvent({ ...fields, type, username, avatarUrl, balls, multiplier: multiplier === 1 ? undefined : multiplier });
+    const dropId = await scoring.issueDrop({ username, avatarUrl, balls, multiplier });
+    return countWrite(type, store.events.set(dropId, { ...event, dropId }));
+  }
+
+  // Writes go through the global queue, tagged with the viewer so a purge can
+  // pull them. Resolves to null once done, or why not ('queue-full', 'purged').
+  async function queued(username, task) {
+    const job = limiter.schedule(task, username.toLowerCase());
+    if (!job) return 'queue-full';
+    return (await job).ran ? null : 'purged';
+  }
+
+  // Handlers resolve to an outcome string (drop, cooldown, disabled, ...) that
+  // replays tally up. Rate limits use the event's own time (evt.at), so replays
+  // reproduce live limits.
+  async function handleChat(evt) {
+    try {
+      const { username, avatarUrl } = evt;
+      const raw = (evt.comment || '').trim();
+      if (!raw) return 'empty';
+
+      const match = commands.match(raw);
+      if (!match) return 'ignored';
+      const { command, args } = match;
+      const access = commands.authorize(command, evt, evt.at);
+      if (access !== 'ok') return access;
+
+      if (command.action === 'redeem') {
+        const tier = String(args.tier || '').replace(/^tier/, 't');
+        if (tierCost(settings.rewardCosts, tier) === null) return 'bad-args';
+        if (!limiter.take('redeem', evt.userId || username, evt.at)) return 'cooldown';
+        let redemption;
+        const skipped = await queued(username, async () => {
+          redemption = await ledger.requestRedemption({ username, avatarUrl, tier });
+        });
+        if (skipped) return skipped;
+        if (redemption.status === 'rejected') console.log(`Redeem ${tier} rejected for ${username} (balance ${redemption.balance})`);
+        return `redeem-${redemption.status}`;
+      }
+
+      // Drop command
+      if (!limiter.take('chat', evt.userId || username, evt.at)) return 'cooldown';
+      if (!spawning()) return 'disabled';
+      const multiplier = triggers.viewerMultiplier(evt);
+      return (await queued(username, () => pushDrop({ username, avatarUrl, command: '!drop', multiplier }))) || 'drop';
+    } catch (e) {
+      console.error('handleChat error', e);
+      return 'error';
+    }
+  }
+
+  async function handleGift(gift) {
+    try {
+      const { username, avatarUrl, giftId, giftName, diamonds } = gift;
+
+      const { balls, units, final } = giftRules.evaluate(gift, streakMode, gift.at);
+      if (!balls) return units ? 'no-balls' : 'streak';
+      if (!limiter.take('gift', gift.userId || username, gift.at)) return 'cooldown';
+      if (!spawning()) return 'disabled';
+
+      const skipped = await queued(username, () => pushDrop({
+        username,
+        avatarUrl,
+        command: `gift:${giftName}:${diamonds}`,
+        balls,
+        multiplier: triggers.viewerMultiplier(gift),
+        type: 'gift',
+        giftId: giftId == null ? null : String(giftId),
+        giftName: giftName || 'Gift',
+        diamonds: diamonds || 0,
+        combo: { count: gift.repeatCount || 1, units, final }
+      }));
+      return skipped || 'drop';
+    } catch (e) {
+      console.error('handleGift error', e);
+      return 'error';
+    }
+  }
+
+  // Likes, follows, shares, joins and subscriptions drop balls by the config's
+  // trigger rules (triggers.js). A follower is welcomed once: /welcomed
+  // remembers them across restarts. They're marked before the drop so two
+  // follows can't both pay out, and unmarked if the drop doesn't happen.
+  async function handleTrigger(evt) {
+    try {
+      const { username, avatarUrl } = evt;
+      const key = leaderboardKey(evt.userId || username);
+      if (evt.type === 'follow' && (await store.welcomed.get(key))) return 'repeat';
+      const { outcome, balls, multiplier } = triggers.evaluate(evt, evt.at);
+      if (outcome !== 'drop') return outcome;
+      if (!spawning()) return 'disabled';
+      const welcome = evt.type === 'follow';
+      if (welcome) {
+        const first = await store.welcomed.transact(key, current => (current ? undefined : { username, at: evt.at }));
+        if (!first.committed) return 'repeat';
+      }
+      let skipped;
+      try {
+        skipped = await queued(username, () => pushDrop({
+          username,
+          avatarUrl,
+          command: `trigger:${evt.type}`,
+          balls,
+          multiplier,
+          trigger: evt.type
+        }));
+      } catch (e) {
+        if (welcome) await store.welcomed.remove(key);
+        throw e;
+      }
+      if (skipped && welcome) await store.welcomed.remove(key);
+      return skipped || 'drop';
+    } catch (e) {
+      console.error('handleTrigger error', e);
+      return 'error';
+    }
+  }
+
+  // Bans and mutes are live admin state, so they're checked against the
+  // current time.
+  function routeSourceEvent(evt) {
+    const restriction = moderation.check(evt);
+    if (restriction === 'banned') return 'banned';
+    if (restriction === 'muted' && evt.type === 'chat') return 'muted';
+    if (evt.username) evt.username = moderation.maskName(evt.username);
+    if (evt.type === 'chat') return handleChat(evt);
+    if (evt.type === 'gift') return handleGift(evt);
+    if (TRIGGER_TYPES.includes(evt.type)) return handleTrigger(evt);
+    return undefined;
+  }
+
+  async function handleSourceEvent(evt) {
+    const received = Date.now();
+    const outcome = await routeSourceEvent(evt);
+    metrics.inboundEvents.inc({ room: id, source: evt.source, type: evt.type, outcome: outcome || 'unhandled' });
+    if (PUSHED.test(outcome || '')) metrics.pushLatency.observe({ room: id, type: evt.type }, (Date.now() - received) / 1000);
+    return outcome;
+  }
+
+  const sources = createSources(sourceNames, sourceOptions, (evt, raw) => {
+    if (onRaw) onRaw(raw, evt);
+    return handleSourceEvent(evt);
+  });
+
+  return {
+    id,
+    store,
+    ledger,
+    scoring,
+    seasons,
+    claims,
+    limiter,
+    stream,
+    sources,
+    retention,
+    scheduler,
+    webhooks,
+    viewers,
+    configStore,
+    configView,
+    pushEvent,
+    pushDrop,
+    handleSourceEvent,
+    spawnEnabled: spawning,
+    load: () => Promise.all([configStore.load(), seasons.load(), scheduler.load(), webhooks.load()]),
+    start(context) {
+      sources.start(context);
+      retention.start();
+      scheduler.start();
+    },
+    stop() {
+      sources.stop();
+      stream.close();
+      retention.stop();
+      scheduler.stop();
+      webhooks.stop();
+    },
+    status: () => ({
+      room: id,
+      spawnEnabled: spawning(),
+      season: seasons.current(),
+      username: (sourceOptions.tiktok || {}).username || null,
+      sources: sources.status(),
+      streakMode,
+      cooldownMs: spawnCooldownMs,
+      configVersion: (configStore.get() || {}).version || null,
+      rateLimits: limiter.status(),
+      displays: claims.listDisplays(),
+      streamClients: stream.clients(),
+      retention: retention.status(),
+      schedule: scheduler.state(),
+      webhooks: webhooks.status(),
+      triggers: triggers.status()
+    })
+  };
+}
+
+module.exports = { createRoom, EventError };
@@ -0,0 +1,98 @@
+/* eslint-disable no-console */
+// The relay's rooms (see room.js). The default room is configured from the
+// env and always exists; more are added and removed at runtime by admins and
+// kept in /roomIndex so they come back after a restart:
+//   roomIndex/<id>: { id, sources, tiktokUsername, ircChannel, createdAt, createdBy }
+// A room's data lives under /rooms/<id>; removing a room keeps it unless
+// asked to purge.
+
+const DEFAULT_ROOM = 'default';
+const VALID_ID = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+class RoomError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// A room definition from an admin request; `available` are the source names.
+function validateRoom(body, available) {
+  const b = body || {};
+  const id = String(b.id || '').trim().toLowerCase();
+  if (!VALID_ID.test(id)) throw new RoomError(400, 'id must be 1-32 lower-case letters, digits, - or _');
+  if (id === DEFAULT_ROOM) throw new RoomError(400, `"${DEFAULT_ROOM}" is reserved`);
+  const sources = b.sources === undefined ? ['tiktok'] : b.sources;
+  if (!Array.isArray(sources) || !sources.length || sources.some(s => !available.includes(s))) {
+    throw new RoomError(400, `sources must be a list of ${available.join(', ')}`);
+  }
+  const tiktokUsername = String(b.tiktokUsername || '').trim().replace(/^@/, '');
+  const ircChannel = String(b.ircChannel || '').trim().replace(/^#/, '');
+  if (sources.includes('tiktok') && !tiktokUsername) throw new RoomError(400, 'tiktokUsername required for the tiktok source');
+  if (sources.includes('irc') && !ircChannel) throw new RoomError(400, 'ircChannel required for the irc source');
+  return { id, sources: [...new Set(sources)], tiktokUsername, ircChannel };
+}
+
+// `open(record)` builds a room (not started) from its definition.
+function createRoomRegistry({ store, open, available, timestamp = () => Date.now() }) {
+  const rooms = new Map(); // id -> room
+  const records = new Map(); // id -> definition (not the default room)
+  let context = null;
+
+  async function startRoom(record) {
+    const room = open(record);
+    await room.load().catch(e => console.error(`Loading config for room ${record.id} failed, using env defaults`, e));
+    rooms.set(record.id, room);
+    records.set(record.id, record);
+    room.start(context);
+    return room;
+  }
+
+  // Starts the stored rooms; `ctx` is what sources need to start ({ server }).
+  async function start(ctx) {
+    context = ctx;
+    const stored = await store.rooms.all();
+    for (const record of Object.values(stored)) {
+      if (!record || !VALID_ID.test(String(record.id || '')) || rooms.has(record.id)) continue;
+      await startRoom(record).catch(e => console.error(`Starting room ${record.id} failed`, e));
+    }
+  }
+
+  async function create(body, by = 'admin') {
+    const fields = validateRoom(body, available);
+    if (rooms.has(fields.id)) throw new RoomError(409, 'room exists');
+    const record = { ...fields, createdAt: timestamp(), createdBy: by };
+    await store.rooms.set(record.id, record);
+    await startRoom(record);
+    console.log(`Room ${record.id} added by ${by}`);
+    return record;
+  }
+
+  async function remove(id, { purge = false } = {}) {
+    if (id === DEFAULT_ROOM) throw new RoomError(400, 'the default room cannot be removed');
+    const room = rooms.get(id);
+    if (!room) throw new RoomError(404, 'no such room');
+    room.stop();
+    rooms.delete(id);
+    records.delete(id);
+    await store.rooms.remove(id);
+    if (purge) await store.room(id).clear();
+    return { id, purged: !!purge };
+  }
+
+  return {
+    // The default room isn't stored: it comes from the env on every start.
+    setDefault: room => rooms.set(DEFAULT_ROOM, room),
+    start,
+    create,
+    remove,
+    get: id => rooms.get(id || DEFAULT_ROOM) || null,
+    all: () => [...rooms.values()],
+    list: () => [...rooms.values()].map(room => ({
+      ...(records.get(room.id) || { id: room.id }),
+      status: room.status()
+    }))
+  };
+}
+
+module.exports = { createRoomRegistry, validateRoom, RoomError, DEFAULT_ROOM };
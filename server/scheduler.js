@@ -0,0 +1,292 @@
+/* eslint-disable no-console */
+// Scheduled automations (one scheduler per room). A rule switches an effect
+// on for `durationMs`, either once (`at`) or at every minute matching a
+// 5-field cron expression (minute hour day month weekday) in its time zone:
+//   schedules/<id>: { id, name, enabled, cron | at, timeZone, durationMs,
+//                     effect: { pointsMultiplier?, spawnEnabled?, cooldownMs? },
+//                     createdAt, createdBy, updatedAt }
+// Effects are overlays: they never touch the stored config, so when a rule
+// ends the room is back on its config. With several rules active the
+// multipliers multiply and the rule that started last wins the rest.
+// What's active is worked out from the rules and the clock alone (nothing to
+// lose on a restart) and published for displays at /schedule:
+//   schedule: { active: [{ id, name, effect, startedAt, endsAt }], effect,
+//               next: { id, name, effect, at } | null, updatedAt }
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const NAME_MAX = 60;
+const MAX_MULTIPLIER = 10;
+const MAX_COOLDOWN_MS = 10 * MINUTE;
+
+class ScheduleError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/* Cron */
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 } // 0 and 7 are Sunday
+];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Each field is a list of *, n or a-b, each with an optional /step.
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new ScheduleError(400, `cron ${name} "${part}" is not valid`);
+    const from = m[1] === '*' ? min : Number(m[2]);
+    const to = m[1] === '*' ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : from;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to) throw new ScheduleError(400, `cron ${name} must be within ${min}-${max}`);
+    if (step < 1) throw new ScheduleError(400, `cron ${name} step must be at least 1`);
+    for (let v = from; v <= to; v += step) values.add(name === 'weekday' ? v % 7 : v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new ScheduleError(400, 'cron must have 5 fields: minute hour day month weekday');
+  const [minute, hour, day, month, weekday] = parts.map((p, i) => parseField(p, CRON_FIELDS[i]));
+  // As in cron, a restricted day and weekday match if either does.
+  return { minute, hour, day, month, weekday, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+const formatters = new Map();
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function validTimeZone(timeZone) {
+  try {
+    zoneFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function cronMatches(cron, ms, timeZone) {
+  const f = {};
+  for (const { type, value } of zoneFormatter(timeZone).formatToParts(new Date(ms))) f[type] = value;
+  if (!cron.minute.has(Number(f.minute)) || !cron.hour.has(Number(f.hour)) || !cron.month.has(Number(f.month))) return false;
+  const day = cron.day.has(Number(f.day));
+  const weekday = cron.weekday.has(WEEKDAYS[f.weekday]);
+  if (cron.anyDay || cron.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+/* Rules */
+
+function validateEffect(e) {
+  if (!e || typeof e !== 'object' || Array.isArray(e)) throw new ScheduleError(400, 'effect must be an object');
+  const effect = {};
+  if (e.pointsMultiplier !== undefined) {
+    if (typeof e.pointsMultiplier !== 'number' || !(e.pointsMultiplier > 0) || e.pointsMultiplier > MAX_MULTIPLIER) {
+      throw new ScheduleError(400, `effect.pointsMultiplier must be above 0 and at most ${MAX_MULTIPLIER}`);
+    }
+    effect.pointsMultiplier = e.pointsMultiplier;
+  }
+  if (e.spawnEnabled !== undefined) {
+    if (typeof e.spawnEnabled !== 'boolean') throw new ScheduleError(400, 'effect.spawnEnabled must be a boolean');
+    effect.spawnEnabled = e.spawnEnabled;
+  }
+  if (e.cooldownMs !== undefined) {
+    if (!Number.isInteger(e.cooldownMs) || e.cooldownMs < 0 || e.cooldownMs > MAX_COOLDOWN_MS) {
+      throw new ScheduleError(400, `effect.cooldownMs must be an integer from 0 to ${MAX_COOLDOWN_MS}`);
+    }
+    effect.cooldownMs = e.cooldownMs;
+  }
+  if (!Object.keys(effect).length) throw new ScheduleError(400, 'effect needs pointsMultiplier, spawnEnabled or cooldownMs');
+  return effect;
+}
+
+// A rule from an admin request (an update is merged over the stored rule
+// first); `at` may be a timestamp or an ISO date.
+function validateRule(body, { timeZone }) {
+  const b = body || {};
+  const name = typeof b.name === 'string' ? b.name.trim() : '';
+  if (!name || name.length > NAME_MAX) throw new ScheduleError(400, `name must be 1-${NAME_MAX} characters`);
+  const hasCron = b.cron !== undefined && b.cron !== null;
+  const hasAt = b.at !== undefined && b.at !== null;
+  if (hasCron === hasAt) throw new ScheduleError(400, 'give either cron (repeating) or at (once)');
+  const rule = { name, enabled: b.enabled === undefined ? true : b.enabled };
+  if (typeof rule.enabled !== 'boolean') throw new ScheduleError(400, 'enabled must be a boolean');
+  if (hasCron) {
+    parseCron(b.cron);
+    rule.cron = String(b.cron).trim().split(/\s+/).join(' ');
+  } else {
+    const at = typeof b.at === 'number' ? b.at : Date.parse(b.at);
+    if (!Number.isFinite(at)) throw new ScheduleError(400, 'at must be a timestamp or an ISO date');
+    rule.at = at;
+  }
+  rule.timeZone = b.timeZone || timeZone;
+  if (!validTimeZone(rule.timeZone)) throw new ScheduleError(400, `unknown timeZone ${rule.timeZone}`);
+  if (!Number.isInteger(b.durationMs) || b.durationMs < 1000 || b.durationMs > DAY) {
+    throw new ScheduleError(400, 'durationMs must be an integer from 1000 to 86400000');
+  }
+  rule.durationMs = b.durationMs;
+  rule.effect = validateEffect(b.effect);
+  return rule;
+}
+
+// Overlapping rules, oldest start first.
+function mergeEffects(active) {
+  const effect = {};
+  for (const { effect: e } of active) {
+    if (e.pointsMultiplier !== undefined) effect.pointsMultiplier = (effect.pointsMultiplier || 1) * e.pointsMultiplier;
+    if (e.spawnEnabled !== undefined) effect.spawnEnabled = e.spawnEnabled;
+    if (e.cooldownMs !== undefined) effect.cooldownMs = e.cooldownMs;
+  }
+  return effect;
+}
+
+// `onChange(effect)` is called whenever the merged effect may have changed.
+function createScheduler({ store, timeZone, onChange = () => {}, timestamp = () => Date.now() }) {
+  const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (!validTimeZone(zone)) throw new Error(`Unknown time zone ${zone}`);
+  const rules = new Map(); // id -> rule
+  const crons = new Map(); // cron expression -> parsed
+  let state = { active: [], effect: {}, next: null, updatedAt: null };
+  let published = '';
+  let timer = null;
+  let running = false;
+
+  const cronOf = rule => {
+    if (!crons.has(rule.cron)) crons.set(rule.cron, parseCron(rule.cron));
+    return crons.get(rule.cron);
+  };
+
+  // The run of `rule` covering `now`, if any; the latest start wins.
+  function windowAt(rule, now) {
+    if (!rule.enabled) return null;
+    if (rule.at !== undefined) {
+      return rule.at <= now && now < rule.at + rule.durationMs ? { startedAt: rule.at, endsAt: rule.at + rule.durationMs } : null;
+    }
+    for (let start = Math.floor(now / MINUTE) * MINUTE; start > now - rule.durationMs; start -= MINUTE) {
+      if (cronMatches(cronOf(rule), start, rule.timeZone)) return { startedAt: start, endsAt: start + rule.durationMs };
+    }
+    return null;
+  }
+
+  // The next start after `now`, looking a day ahead.
+  function nextStart(rule, now) {
+    if (!rule.enabled) return null;
+    if (rule.at !== undefined) return rule.at > now ? rule.at : null;
+    for (let start = Math.floor(now / MINUTE) * MINUTE + MINUTE; start <= now + DAY; start += MINUTE) {
+      if (cronMatches(cronOf(rule), start, rule.timeZone)) return start;
+    }
+    return null;
+  }
+
+  function evaluate() {
+    const now = timestamp();
+    const active = [];
+    let next = null;
+    for (const rule of rules.values()) {
+      const run = windowAt(rule, now);
+      if (run) active.push({ id: rule.id, name: rule.name, effect: rule.effect, ...run });
+      const at = nextStart(rule, now);
+      if (at !== null && (!next || at < next.at)) next = { id: rule.id, name: rule.name, effect: rule.effect, at };
+    }
+    active.sort((a, b) => a.startedAt - b.startedAt);
+
+    const key = JSON.stringify({ active, next });
+    if (key !== published) {
+      published = key;
+      state = { active, effect: mergeEffects(active), next, updatedAt: now };
+      onChange(state.effect);
+      if (active.length) console.log(`Schedule: ${active.map(a => a.name).join(', ')} active`);
+      store.schedule.set(state).catch(e => console.error('publishing schedule failed', e));
+    }
+
+    // Again at the next minute (cron starts), run end or one-shot start.
+    if (!running) return;
+    const checks = [Math.floor(now / MINUTE) * MINUTE + MINUTE, ...active.map(a => a.endsAt)];
+    if (next && next.at > now) checks.push(next.at);
+    clearTimeout(timer);
+    timer = setTimeout(evaluate, Math.max(250, Math.min(...checks) - now));
+    timer.unref();
+  }
+
+  async function load() {
+    const stored = await store.schedules.all();
+    rules.clear();
+    for (const [id, rule] of Object.entries(stored)) {
+      if (rule) rules.set(id, { ...rule, id });
+    }
+  }
+
+  async function create(body, by = 'admin') {
+    const id = store.schedules.newId();
+    const now = timestamp();
+    const rule = { id, ...validateRule(body, { timeZone: zone }), createdAt: now, createdBy: by, updatedAt: now };
+    await store.schedules.set(id, rule);
+    rules.set(id, rule);
+    evaluate();
+    return rule;
+  }
+
+  async function update(id, patch) {
+    const current = rules.get(id);
+    if (!current) throw new ScheduleError(404, 'no such rule');
+    const merged = { ...current, ...(patch || {}) };
+    // Switching between cron and at replaces the other.
+    if (patch && patch.cron !== undefined && patch.at === undefined) delete merged.at;
+    if (patch && patch.at !== undefined && patch.cron === undefined) delete merged.cron;
+    const rule = {
+      id,
+      ...validateRule(merged, { timeZone: zone }),
+      createdAt: current.createdAt,
+      createdBy: current.createdBy,
+      updatedAt: timestamp()
+    };
+    await store.schedules.set(id, rule);
+    rules.set(id, rule);
+    evaluate();
+    return rule;
+  }
+
+  async function remove(id) {
+    if (!rules.has(id)) throw new ScheduleError(404, 'no such rule');
+    await store.schedules.remove(id);
+    rules.delete(id);
+    evaluate();
+    return { id };
+  }
+
+  return {
+    load,
+    create,
+    update,
+    remove,
+    list: () => [...rules.values()].sort((a, b) => a.createdAt - b.createdAt),
+    start() {
+      running = true;
+      evaluate();
+    },
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+    },
+    effect: () => state.effect,
+    state: () => ({ timeZone: zone, ...state })
+  };
+}
+
+module.exports = { createScheduler, parseCron, cronMatches, validateRule, ScheduleError };
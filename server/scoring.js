@@ -0,0 +1,96 @@
+/* eslint-disable no-console */
+// Server-authoritative scoring: drops are issued here, displays report where
+// each ball landed and the relay writes the leaderboard itself.
+
+// Mirrors buildSlots() in js/game.js (ROWS + 1 slots, x16 in the middle).
+const DEFAULT_SLOT_COUNT = 13;
+
+function buildSlotPoints(slotCount = DEFAULT_SLOT_COUNT) {
+  const center = Math.floor((slotCount - 1) / 2);
+  const mult = d => (d === 0 ? 16 : d === 1 ? 9 : d === 2 ? 5 : d === 3 ? 3 : 1);
+  return Array.from({ length: slotCount }, (_, i) => mult(Math.abs(i - center)) * 100);
+}
+
+// Same key mangling the display used when it still wrote /leaderboard.
+function leaderboardKey(username) {
+  return String(username || 'viewer').replace(/[.#$/[\]]/g, '_');
+}
+
+class ScoringError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// `multiplier()` scales slot points (scheduled happy hours, see scheduler.js);
+// it is read when a drop is issued and kept on the drop, so a ball scores at
+// the multiplier it was dropped under even if the schedule changes before it
+// lands. `onLanding(landing)` hears about every scored ball (webhooks).
+function createScoring({ store, ledger, slotCount = DEFAULT_SLOT_COUNT, multiplier = () => 1, onLanding = () => {}, timestamp = () => Date.now() }) {
+  const slotPoints = buildSlotPoints(slotCount);
+  const topPoints = Math.max(...slotPoints);
+
+  // Reserves an event id and records the drop before the event is visible,
+  // so a landing can never reference an unknown drop.
+  // `multiplier` scales this drop's points on top of multiplier() (triggers.js).
+  async function issueDrop({ username, avatarUrl = '', balls = 1, multiplier: dropMultiplier = 1 }) {
+    const dropId = store.events.newId();
+    const scheduleMultiplier = multiplier();
+    await store.drops.set(dropId, {
+      username,
+      avatarUrl,
+      balls,
+      multiplier: dropMultiplier === 1 ? null : dropMultiplier,
+      scheduleMultiplier: scheduleMultiplier === 1 ? null : scheduleMultiplier,
+      createdAt: timestamp()
+    });
+    return dropId;
+  }
+
+  // Only the display holding the drop's claim (see claims.js) may score it.
+  async function recordLanding({ dropId, ball = 0, slot, displayId }) {
+    if (typeof dropId !== 'string' || !dropId || /[.#$/[\]]/.test(dropId)) {
+      throw new ScoringError(400, 'invalid dropId');
+    }
+    if (!Number.isInteger(slot) || slot < 0 || slot >= slotPoints.length) {
+      throw new ScoringError(400, 'invalid slot');
+    }
+    const drop = await store.drops.get(dropId);
+    if (!drop) throw new ScoringError(404, 'unknown drop');
+    if (!drop.claim) throw new ScoringError(409, 'drop not claimed');
+    if (drop.claim.displayId !== displayId) throw new ScoringError(403, 'drop is claimed by another display');
+    if (!Number.isInteger(ball) || ball < 0 || ball >= (drop.balls || 1)) {
+      throw new ScoringError(400, 'invalid ball');
+    }
+
+    const points = Math.round(slotPoints[slot] * (drop.scheduleMultiplier || 1) * (drop.multiplier || 1));
+    // Returns `current` rather than aborting, as ledger.js does: the first
+    // attempt may run against an empty local cache.
+    let scored = false;
+    await store.drops.transact(dropId, current => {
+      scored = false;
+      if (!current || (current.landed && current.landed[ball])) return current;
+      scored = true;
+      return { ...current, landed: { ...current.landed, [ball]: { slot, points, at: timestamp() } } };
+    });
+    if (!scored) throw new ScoringError(409, 'already scored');
+
+    const { balance } = await ledger.credit(drop.username, drop.avatarUrl, points, {
+      reason: 'landing', ref: `${dropId}/${ball}`
+    });
+    try {
+      onLanding({
+        dropId, ball, slot, points, username: drop.username, avatarUrl: drop.avatarUrl || '', score: balance,
+        jackpot: slotPoints[slot] === topPoints
+      });
+    } catch (e) {
+      console.error('onLanding failed', e);
+    }
+    return { username: drop.username, points, score: balance };
+  }
+
+  return { slotPoints, issueDrop, recordLanding };
+}
+
+module.exports = { createScoring, buildSlotPoints, leaderboardKey, ScoringError };
@@ -0,0 +1,103 @@
+/* eslint-disable no-console */
+// Leaderboard seasons (one set per room). /leaderboard is the live season;
+// closing it snapshots the final standings and opens the next season with an
+// empty board:
+//   season: { number, name, startedAt }   (the live one)
+//   seasons/<key>: { number, name, startedAt, endedAt, closedBy, players, top }
+//   seasonStandings/<key>: [{ rank, username, avatarUrl, score }]
+// <key> is the zero-padded number so keys sort in season order. The board is
+// also the viewers' point balance (ledger.js), so a new season starts every
+// balance from zero; the ledger history is kept.
+
+const NAME_MAX = 60;
+const TOP = 3;
+
+class SeasonError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const seasonKey = number => String(number).padStart(6, '0');
+
+function validateName(name, field) {
+  if (name === undefined || name === null || name === '') return null;
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > NAME_MAX) {
+    throw new SeasonError(400, `${field} must be 1-${NAME_MAX} characters`);
+  }
+  return name.trim();
+}
+
+// Highest score first; ties go to whoever got there first.
+function rankStandings(board) {
+  return Object.values(board || {})
+    .filter(e => e && e.username)
+    .sort((a, b) => (b.score || 0) - (a.score || 0) || (a.lastUpdate || 0) - (b.lastUpdate || 0))
+    .map((e, i) => ({ rank: i + 1, username: e.username, avatarUrl: e.avatarUrl || '', score: e.score || 0 }));
+}
+
+// `exclusive` runs a task with balance changes paused (ledger.exclusive), so
+// no landing or refund lands between snapshotting the board and clearing it.
+function createSeasons({ store, exclusive = task => task(), timestamp = () => Date.now() }) {
+  let live = { number: 1, name: 'Season 1', startedAt: null };
+  let closing = Promise.resolve();
+
+  async function load() {
+    const stored = await store.season.get();
+    if (stored && Number.isInteger(stored.number)) live = stored;
+    return live;
+  }
+
+  async function closeNow({ name, nextName, by }) {
+    const current = await load();
+    const endedAt = timestamp();
+    const standings = rankStandings(await store.leaderboard.all());
+    const closed = {
+      number: current.number,
+      name: name || current.name,
+      startedAt: current.startedAt,
+      endedAt,
+      closedBy: by,
+      players: standings.length,
+      top: standings.slice(0, TOP)
+    };
+    const key = seasonKey(closed.number);
+    await store.seasonStandings.set(key, standings);
+    await store.seasons.set(key, closed);
+    await store.leaderboard.clear();
+    const number = current.number + 1;
+    live = { number, name: nextName || `Season ${number}`, startedAt: endedAt };
+    await store.season.set(live);
+    console.log(`Season ${closed.number} (${closed.name}) closed by ${by} with ${closed.players} players`);
+    return { closed, current: live };
+  }
+
+  // Closes the live season; `name` renames it on the way out, `nextName` names
+  // the new one. Closes run one at a time.
+  function close({ name, nextName, by = 'admin' } = {}) {
+    const args = { name: validateName(name, 'name'), nextName: validateName(nextName, 'nextName'), by };
+    const run = closing.then(() => exclusive(() => closeNow(args)));
+    closing = run.catch(() => {});
+    return run;
+  }
+
+  // Past seasons, newest first, without their standings.
+  async function list({ limit = 50 } = {}) {
+    const rows = await store.seasons.query({ last: limit });
+    return rows.map(([, s]) => s).reverse();
+  }
+
+  async function get(number) {
+    const n = Number(number);
+    if (!Number.isInteger(n) || n < 1) throw new SeasonError(400, 'invalid season');
+    const key = seasonKey(n);
+    const season = await store.seasons.get(key);
+    if (!season) throw new SeasonError(404, 'no such season');
+    return { season, standings: (await store.seasonStandings.get(key)) || [] };
+  }
+
+  return { load, close, list, get, current: () => live };
+}
+
+module.exports = { createSeasons, rankStandings, SeasonError };
@@ -1,257 +1,890 @@
 /* eslint-disable no-console */
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const admin = require('firebase-admin');
-const { WebcastPushConnection } = require('tiktok-live-connector');
+const { createMemoryDb } = require('./memoryDb');
+const { createRestDb } = require('./restDb');
+const { createStorage } = require('./storage');
+const { normalizeRecord, ADAPTERS } = require('./sources');
+const { createRecorder, replaySession } = require('./sessions');
+const { createRoom } = require('./room');
+const { createRoomRegistry, DEFAULT_ROOM } = require('./rooms');
+const { createRateLimiter } = require('./rateLimit');
+const { createModeration, ACTIONS: MOD_ACTIONS } = require('./moderation');
+const { createAuth, parseAccounts } = require('./auth');
+const { createAudit } = require('./audit');
+const { createMetrics } = require('./metrics');
 
 dotenv.config();
 
 // Config
 const PORT = process.env.PORT || 3000;
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+// Admin logins as name:role:password (roles: owner, moderator), comma
+// separated. ADMIN_TOKEN, if set, is the password of an "admin" owner.
+const ADMIN_ACCOUNTS = process.env.ADMIN_ACCOUNTS || '';
+const SESSION_SECRET = process.env.SESSION_SECRET || '';
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS || 30 * 60 * 1000);
 const DATABASE_URL = process.env.DATABASE_URL || 'https://plinkoo-82abc-default-rtdb.firebaseio.com/';
 const TIKTOK_USERNAME = (process.env.TIKTOK_USERNAME || 'lmohss').replace(/^@/, '');
-let SPAWN_COOLDOWN_MS = Number(process.env.SPAWN_COOLDOWN_MS || 1200);
-let SPAWN_ENABLED = String(process.env.SPAWN_ENABLED || 'true').toLowerCase() === 'true';
-let STREAK_MODE = String(process.env.STREAK_MODE || 'repeatEnd'); // repeatEnd | first | every
-const DEV_MODE = String(process.env.DEV_MODE || 'true').toLowerCase() === 'true';
-
-const serviceAccountJSON = process.env.FIREBASE_SERVICE_ACCOUNT_JSON;
-if (!serviceAccountJSON) {
-  console.error('FIREBASE_SERVICE_ACCOUNT_JSON missing. Exiting.');
-  process.exit(1);
-}
-let serviceAccount;
-try {
-  serviceAccount = JSON.parse(serviceAccountJSON);
-} catch (e) {
-  console.error('Failed to parse FIREBASE_SERVICE_ACCOUNT_JSON.');
-  process.exit(1);
+const SPAWN_COOLDOWN_MS = Number(process.env.SPAWN_COOLDOWN_MS || 1200);
+const SPAWN_ENABLED = String(process.env.SPAWN_ENABLED || 'true').toLowerCase() === 'true';
+const STREAK_MODE = String(process.env.STREAK_MODE || 'repeatEnd'); // repeatEnd | first | every
+const DEV_MODE = String(process.env.DEV_MODE || 'false').toLowerCase() === 'true';
+// Event sources of the default room: any of tiktok, irc, manual (comma separated)
+const SOURCES = String(process.env.SOURCES || 'tiktok').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+const IRC_HOST = process.env.IRC_HOST || 'irc.chat.twitch.tv';
+const IRC_PORT = Number(process.env.IRC_PORT || 6697);
+const IRC_TLS = String(process.env.IRC_TLS || 'true').toLowerCase() === 'true';
+const IRC_NICK = process.env.IRC_NICK || '';
+const IRC_PASSWORD = process.env.IRC_PASSWORD || '';
+const IRC_CHANNEL = process.env.IRC_CHANNEL || '';
+const MANUAL_SOURCE_TOKEN = process.env.MANUAL_SOURCE_TOKEN || ADMIN_TOKEN;
+// Record inbound events to <RECORD_DIR>/session-<time>.jsonl
+const RECORD_DIR = process.env.RECORD_DIR || '';
+// Replay a recorded session instead of connecting any source
+const REPLAY_FILE = process.env.REPLAY_FILE || '';
+const REPLAY_SPEED = String(process.env.REPLAY_SPEED || '1'); // 1 | N | max
+const REPLAY_EXIT = String(process.env.REPLAY_EXIT || 'false').toLowerCase() === 'true';
+// In-memory database instead of Firebase (nothing persists; for local testing)
+const MEMORY_DB = String(process.env.MEMORY_DB || 'false').toLowerCase() === 'true';
+// Local database server (localDb.js) instead of Firebase, e.g. http://localhost:9000
+const LOCAL_DB_URL = process.env.LOCAL_DB_URL || '';
+// firebase (also with MEMORY_DB / LOCAL_DB_URL) | sqlite (self-hosted, in SQLITE_FILE)
+const STORAGE = String(process.env.STORAGE || 'firebase').toLowerCase();
+const SQLITE_FILE = process.env.SQLITE_FILE || './plinkoo.sqlite';
+const REWARD_COSTS = { t1: 1000, t2: 5000, t3: 10000 };
+const CLAIM_LEASE_MS = Number(process.env.CLAIM_LEASE_MS || 30000);
+const DISPLAY_STALE_MS = Number(process.env.DISPLAY_STALE_MS || 15000);
+// Displays that claim and score drops send this key (or an admin session)
+// with their heartbeat; without either they can only mirror.
+const DISPLAY_KEY = process.env.DISPLAY_KEY || '';
+// Per-viewer token buckets: burst size and ms to regain one token. Chat drops
+// regain at SPAWN_COOLDOWN_MS.
+const CHAT_BURST = Number(process.env.CHAT_BURST || 1);
+const GIFT_BURST = Number(process.env.GIFT_BURST || 10);
+const GIFT_REFILL_MS = Number(process.env.GIFT_REFILL_MS || 500);
+const REDEEM_BURST = Number(process.env.REDEEM_BURST || 2);
+const REDEEM_REFILL_MS = Number(process.env.REDEEM_REFILL_MS || 5000);
+// Global cap on inbound events written per second; the rest wait in a queue
+const GLOBAL_EVENTS_PER_SEC = Number(process.env.GLOBAL_EVENTS_PER_SEC || 20);
+const EVENT_QUEUE_MAX = Number(process.env.EVENT_QUEUE_MAX || 1000);
+// Public viewer lookups (/viewers, /leaderboard): per-IP burst and ms to
+// regain one request
+const VIEWER_API_BURST = Number(process.env.VIEWER_API_BURST || 30);
+const VIEWER_API_REFILL_MS = Number(process.env.VIEWER_API_REFILL_MS || 1000);
+// If set, GET /metrics wants `Authorization: Bearer <METRICS_TOKEN>`
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+// Time zone for scheduled rules' cron expressions (IANA name; default: the server's)
+const SCHEDULE_TZ = process.env.SCHEDULE_TZ || '';
+// Scores that send a `milestone` webhook when a viewer reaches them
+const WEBHOOK_MILESTONES = String(process.env.WEBHOOK_MILESTONES || '10000,50000,100000')
+  .split(',').map(Number).filter(n => Number.isFinite(n) && n > 0);
+// Attempts per webhook delivery before it goes to the dead-letter list
+const WEBHOOK_ATTEMPTS = Number(process.env.WEBHOOK_ATTEMPTS || 5);
+// Event retention (retention.js): events older than RETENTION_MAX_AGE_MS, and
+// settled ones beyond the newest RETENTION_MAX_EVENTS, are removed (0 = no
+// limit), archived first unless RETENTION_ARCHIVE=false. Runs every
+// RETENTION_INTERVAL_MS (0 = only when an admin asks).
+const RETENTION_MAX_AGE_MS = Number(process.env.RETENTION_MAX_AGE_MS || 24 * 60 * 60 * 1000);
+const RETENTION_MAX_EVENTS = Number(process.env.RETENTION_MAX_EVENTS || 2000);
+const RETENTION_ARCHIVE = String(process.env.RETENTION_ARCHIVE || 'true').toLowerCase() === 'true';
+const RETENTION_INTERVAL_MS = Number(process.env.RETENTION_INTERVAL_MS || 10 * 60 * 1000);
+
+// Every room starts from these; its stored config overrides them (room.js).
+const ROOM_SETTINGS = {
+  spawnCooldownMs: SPAWN_COOLDOWN_MS,
+  spawnEnabled: SPAWN_ENABLED,
+  streakMode: STREAK_MODE,
+  rewardCosts: REWARD_COSTS,
+  claimLeaseMs: CLAIM_LEASE_MS,
+  displayStaleMs: DISPLAY_STALE_MS,
+  chatBurst: CHAT_BURST,
+  giftBurst: GIFT_BURST,
+  giftRefillMs: GIFT_REFILL_MS,
+  redeemBurst: REDEEM_BURST,
+  redeemRefillMs: REDEEM_REFILL_MS,
+  eventsPerSec: GLOBAL_EVENTS_PER_SEC,
+  eventQueueMax: EVENT_QUEUE_MAX,
+  scheduleTimeZone: SCHEDULE_TZ || undefined,
+  milestones: WEBHOOK_MILESTONES,
+  webhookRetry: { attempts: WEBHOOK_ATTEMPTS, baseMs: 1000, maxMs: 60000 },
+  retention: {
+    maxAgeMs: RETENTION_MAX_AGE_MS,
+    maxEvents: RETENTION_MAX_EVENTS,
+    archive: RETENTION_ARCHIVE,
+    intervalMs: RETENTION_INTERVAL_MS
+  }
+};
+
+function connectFirebase() {
+  const serviceAccountJSON = process.env.FIREBASE_SERVICE_ACCOUNT_JSON;
+  if (!serviceAccountJSON) {
+    console.error('FIREBASE_SERVICE_ACCOUNT_JSON missing. Exiting.');
+    process.exit(1);
+  }
+  let serviceAccount;
+  try {
+    serviceAccount = JSON.parse(serviceAccountJSON);
+  } catch (e) {
+    console.error('Failed to parse FIREBASE_SERVICE_ACCOUNT_JSON.');
+    process.exit(1);
+  }
+
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    databaseURL: DATABASE_URL,
+  });
+  return admin.database();
 }
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  databaseURL: DATABASE_URL,
-});
+function openStorage() {
+  if (STORAGE !== 'firebase') return createStorage(STORAGE, { file: SQLITE_FILE });
+  const db = MEMORY_DB ? createMemoryDb() : LOCAL_DB_URL ? createRestDb({ url: LOCAL_DB_URL }) : connectFirebase();
+  return createStorage('firebase', { db });
+}
 
-const db = admin.database();
+const store = openStorage();
 const app = express();
 app.use(cors());
 app.use(express.json());
+// Behind one proxy (Render, Glitch), so req.ip is the client for login limits.
+app.set('trust proxy', 1);
+
+// Metrics (see metrics.js). Collected values are read when scraped.
+const metrics = createMetrics();
+const instruments = {
+  inboundEvents: metrics.counter('inbound_events_total', 'Inbound source events by room, source, type and outcome.'),
+  eventWrites: metrics.counter('event_writes_total', 'Writes to /events by room, event type and result (ok, failed).'),
+  pushLatency: metrics.histogram('event_push_latency_seconds', 'Time from receiving a source event to its /events write.'),
+  webhookDeliveries: metrics.counter('webhook_deliveries_total', 'Webhook delivery attempts by room, event type and result (delivered, retried, dead).')
+};
+const adminCalls = metrics.counter('admin_requests_total', 'Admin API calls by method, route, room and HTTP status.');
+
+const moderation = createModeration({ store });
+const audit = createAudit({ store });
+
+const recorder = RECORD_DIR && !REPLAY_FILE ? createRecorder({ dir: RECORD_DIR }) : null;
+if (recorder) {
+  // Flush the session file before exiting.
+  for (const sig of ['SIGINT', 'SIGTERM']) process.once(sig, () => recorder.close().then(() => process.exit(0)));
+}
+
+const ircOptions = { host: IRC_HOST, port: IRC_PORT, useTls: IRC_TLS, nick: IRC_NICK, password: IRC_PASSWORD };
 
-// Utility
-function pushEvent(obj) {
-  return db.ref('events').push(obj);
+// The default room: root paths, the env's sources, recorded and replayed.
+const defaultRoom = createRoom({
+  id: DEFAULT_ROOM,
+  store,
+  settings: ROOM_SETTINGS,
+  sources: REPLAY_FILE ? [] : SOURCES,
+  sourceOptions: {
+    tiktok: { username: TIKTOK_USERNAME },
+    irc: { ...ircOptions, channel: IRC_CHANNEL },
+    manual: { token: MANUAL_SOURCE_TOKEN }
+  },
+  moderation,
+  metrics: instruments,
+  onRaw: (raw, evt) => {
+    if (recorder) recorder.record(raw, evt.at);
+  }
+});
+
+const rooms = createRoomRegistry({
+  store,
+  available: Object.keys(ADAPTERS),
+  open: record => createRoom({
+    id: record.id,
+    store: store.room(record.id),
+    settings: ROOM_SETTINGS,
+    sources: record.sources,
+    sourceOptions: {
+      tiktok: { username: record.tiktokUsername },
+      irc: { ...ircOptions, channel: record.ircChannel },
+      manual: { token: MANUAL_SOURCE_TOKEN, path: `/rooms/${record.id}/sources/manual` }
+    },
+    moderation,
+    metrics: instruments
+  })
+});
+rooms.setDefault(defaultRoom);
+
+// Summed or listed over rooms when scraped.
+const perRoom = fn => rooms.all().flatMap(room => fn(room).map(([labels, value]) => [{ room: room.id, ...labels }, value]));
+metrics.counterFrom('rate_limit_decisions_total', 'Rate limiter decisions (allowed, limited, delayed, rejected) by room.', () => perRoom(room => {
+  const status = room.limiter.status();
+  return ['allowed', 'limited', 'delayed', 'rejected'].map(outcome => [{ outcome }, status[outcome]]);
+}));
+metrics.counterFrom('source_reconnects_total', 'Reconnect attempts by room and event source.', () => perRoom(room => room.sources.status()
+  .filter(s => s.reconnects !== undefined).map(s => [{ source: s.name }, s.reconnects])));
+metrics.gauge('source_connected', 'Whether each event source is connected (1) or not (0).', () => perRoom(room => room.sources.status()
+  .map(s => [{ source: s.name }, s.connected ? 1 : 0])));
+metrics.gauge('event_queue_length', 'Inbound events waiting in each room\'s queue.', () => perRoom(room => [[{}, room.limiter.status().global.queued]]));
+metrics.gauge('stream_clients', 'Displays connected to /stream.', () => perRoom(room => [[{}, room.stream.clients()]]));
+metrics.counterFrom('retention_events_total', 'Events removed by retention, by room.', () => perRoom(room => [[{}, room.retention.status().removed]]));
+metrics.gauge('displays_live', 'Displays that sent a heartbeat recently.', () => perRoom(room => [[{}, room.claims.listDisplays().filter(d => d.live).length]]));
+
+const accounts = parseAccounts(ADMIN_ACCOUNTS);
+if (ADMIN_TOKEN && !accounts.some(a => a.name.toLowerCase() === 'admin')) {
+  accounts.push({ name: 'admin', role: 'owner', password: ADMIN_TOKEN });
+}
+const auth = createAuth({ accounts, secret: SESSION_SECRET, ttlMs: SESSION_TTL_MS });
+const loginLimiter = createRateLimiter({ classes: { login: { burst: 5, refillMs: 60000 } } });
+const viewerLimiter = createRateLimiter({ classes: { viewer: { burst: VIEWER_API_BURST, refillMs: VIEWER_API_REFILL_MS } } });
+// A display beats every 5 s; this leaves room for several displays per address.
+const heartbeatLimiter = createRateLimiter({ classes: { heartbeat: { burst: 10, refillMs: 1000 } } });
+
+// Module errors (ScoringError, LedgerError, ClaimError, EventError, RoomError, ...) carry an HTTP status.
+function sendError(res, e, label) {
+  if (e && Number.isInteger(e.status)) {
+    return res.status(e.status).json({ error: e.message });
+  }
+  console.error(`${label} failed`, e);
+  return res.status(500).json({ error: 'failed' });
 }
 
 app.get('/', (req, res) => {
   res.type('html').send('<h2>Plinkoo Relay</h2><p>OK</p>');
 });
 
+// The default room's state plus the relay's; other rooms answer at
+// /rooms/<id>/health.
 app.get('/health', (req, res) => {
+  const { room, ...status } = defaultRoom.status();
   res.json({
     ok: true,
-    spawnEnabled: SPAWN_ENABLED,
-    username: TIKTOK_USERNAME,
+    ...status,
+    recording: recorder ? recorder.status() : null,
+    replay: REPLAY_FILE || null,
     devMode: DEV_MODE,
-    streakMode: STREAK_MODE,
-    cooldownMs: SPAWN_COOLDOWN_MS
+    memoryDb: MEMORY_DB,
+    localDb: LOCAL_DB_URL || null,
+    storage: store.kind,
+    rooms: rooms.all().map(r => ({ id: r.id, sources: r.sources.status().map(({ name, state, connected }) => ({ name, state, connected })) }))
   });
 });
 
-function requireAdmin(req, res, next) {
-  const token = req.get('x-admin-token') || req.query.token;
-  if (!ADMIN_TOKEN || token !== ADMIN_TOKEN) {
-    return res.status(401).json({ error: 'Unauthorized' });
+// Prometheus scrape target (see metrics.js).
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && (req.get('authorization') || '') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'unauthorized' });
   }
-  return next();
-}
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
 
-app.post('/admin/reset-leaderboard', requireAdmin, async (_req, res) => {
+// Admin sessions: POST /auth/login exchanges a password for a short-lived
+// token, sent back as `Authorization: Bearer <token>`.
+app.post('/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const entry = { actor: String(username || '').slice(0, 64), action: 'POST /auth/login' };
+  res.on('finish', () => adminCalls.inc({ method: 'POST', route: '/auth/login', room: '', status: res.statusCode }));
+  if (!loginLimiter.take('login', req.ip)) {
+    auditLog({ ...entry, status: 429 });
+    return res.status(429).json({ error: 'too many attempts' });
+  }
   try {
-    await db.ref('leaderboard').set(null);
-    res.json({ ok: true });
+    const session = auth.login(username, password);
+    auditLog({ ...entry, actor: session.username, role: session.role, status: 200 });
+    res.json({ ok: true, ...session });
   } catch (e) {
-    console.error('reset-leaderboard failed', e);
-    res.status(500).json({ error: 'failed' });
+    auditLog({ ...entry, status: e.status || 500 });
+    sendError(res, e, 'login');
   }
 });
 
-app.post('/admin/spawn-toggle', requireAdmin, async (req, res) => {
+function auditLog(entry) {
+  audit.record(entry).catch(e => console.error('audit write failed', e));
+}
+
+// A copy of a request's params, query or body fit for the audit log: values
+// under keys naming a secret, password or token are masked.
+const SENSITIVE_KEY = /secret|password|token/i;
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, SENSITIVE_KEY.test(k) ? '[redacted]' : redact(v)]));
+}
+
+// Checks the session and, if given, that its role has `permission` (see auth.js).
+// Every non-GET admin call is audited, including refused ones.
+function requireRole(permission) {
+  return (req, res, next) => {
+    res.on('finish', () => adminCalls.inc({
+      method: req.method, route: req.route.path, room: req.room ? req.room.id : '', status: res.statusCode
+    }));
+    if (req.method !== 'GET') {
+      res.on('finish', () => auditLog({
+        actor: req.session && req.session.sub,
+        role: req.session && req.session.role,
+        action: `${req.method} ${req.baseUrl}${req.route.path}`,
+        status: res.statusCode,
+        detail: JSON.stringify(redact({ params: req.params, query: req.query, body: req.body })).slice(0, 2000)
+      }));
+    }
+    try {
+      req.session = auth.verify((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+    } catch (e) {
+      return sendError(res, e, 'auth');
+    }
+    if (permission && !auth.can(req.session.role, permission)) return res.status(403).json({ error: 'forbidden' });
+    return next();
+  };
+}
+
+app.get('/auth/session', requireRole(), (req, res) => {
+  res.json({ ok: true, username: req.session.sub, role: req.session.role, expiresAt: req.session.exp });
+});
+
+// The metrics as JSON for the settings panel: counters per label set,
+// histograms as count / avg / p50 / p95 (seconds).
+app.get('/admin/metrics', requireRole('audit'), (_req, res) => {
+  res.json({ ok: true, metrics: metrics.summary() });
+});
+
+app.get('/admin/audit', requireRole('audit'), async (req, res) => {
   try {
-    const enabled = String(req.query.enabled || '').toLowerCase() === 'true';
-    SPAWN_ENABLED = enabled;
-    await db.ref('config').update({ spawnEnabled: enabled });
-    res.json({ ok: true, spawnEnabled: enabled });
+    const { actor, action, since } = req.query;
+    const entries = await audit.query({ limit: Math.min(Number(req.query.limit) || 100, 1000), actor, action, since });
+    res.json({ ok: true, entries });
   } catch (e) {
-    res.status(500).json({ error: 'failed' });
+    sendError(res, e, 'audit');
   }
 });
 
-app.get('/admin/config', requireAdmin, (req, res) => {
-  res.json({
-    ok: true,
-    spawnEnabled: SPAWN_ENABLED,
-    cooldownMs: SPAWN_COOLDOWN_MS,
-    streakMode: STREAK_MODE
+// Moderation: ban / mute (optionally for `minutes`), lift, name filter, purge.
+app.get('/admin/moderation', requireRole('moderate'), (_req, res) => {
+  res.json({ ok: true, users: moderation.list(), words: moderation.words() });
+});
+
+for (const action of MOD_ACTIONS) {
+  app.post(`/admin/moderation/${action}`, requireRole('moderate'), async (req, res) => {
+    const { username, minutes, reason } = req.body || {};
+    try {
+      res.json({ ok: true, entry: await moderation.restrict({ username, action, minutes, reason, by: req.session.sub }) });
+    } catch (e) {
+      sendError(res, e, action);
+    }
   });
+}
+
+app.post('/admin/moderation/lift', requireRole('moderate'), async (req, res) => {
+  try {
+    res.json({ ok: true, lifted: await moderation.lift((req.body || {}).username) });
+  } catch (e) {
+    sendError(res, e, 'lift');
+  }
+});
+
+app.post('/admin/moderation/words', requireRole('config'), async (req, res) => {
+  try {
+    res.json({ ok: true, words: await moderation.setWords((req.body || {}).words) });
+  } catch (e) {
+    sendError(res, e, 'word filter');
+  }
 });
 
-app.post('/admin/config', requireAdmin, async (req, res) => {
+// Bans are relay-wide, so a purge covers every room.
+app.post('/admin/moderation/purge', requireRole('leaderboard'), async (req, res) => {
+  const { username } = req.body || {};
   try {
-    const { cooldownMs, streakMode, spawnEnabled } = req.body || {};
-    if (typeof cooldownMs === 'number' && cooldownMs >= 0) SPAWN_COOLDOWN_MS = cooldownMs;
-    if (typeof spawnEnabled === 'boolean') SPAWN_ENABLED = spawnEnabled;
-    if (typeof streakMode === 'string' && ['repeatEnd', 'first', 'every'].includes(streakMode)) {
-      STREAK_MODE = streakMode;
+    let queued = 0;
+    let events = 0;
+    let redemptions = 0;
+    for (const room of rooms.all()) {
+      queued += room.limiter.purge(String(username || '').trim().toLowerCase());
+      const purged = await moderation.purge(username, room.store);
+      events += purged.events;
+      redemptions += purged.redemptions;
     }
-    await db.ref('config').update({
-      spawnEnabled: SPAWN_ENABLED,
-      cooldownMs: SPAWN_COOLDOWN_MS,
-      streakMode: STREAK_MODE
-    });
-    res.json({ ok: true, cooldownMs: SPAWN_COOLDOWN_MS, streakMode: STREAK_MODE, spawnEnabled: SPAWN_ENABLED });
+    res.json({ ok: true, queued, events, redemptions });
   } catch (e) {
-    res.status(500).json({ error: 'failed' });
+    sendError(res, e, 'purge');
   }
 });
 
-app.post('/admin/spawn', async (req, res) => {
-  if (!DEV_MODE) return res.status(403).json({ error: 'DEV_MODE disabled' });
-  const { username = 'Tester', avatarUrl = '', command = '!drop' } = req.body || {};
+// Rooms (see rooms.js): list, add ({ id, sources, tiktokUsername,
+// ircChannel }) and remove (?purge=true also deletes its data).
+app.get('/admin/rooms', requireRole('rooms'), (_req, res) => {
+  res.json({ ok: true, rooms: rooms.list() });
+});
+
+app.post('/admin/rooms', requireRole('rooms'), async (req, res) => {
   try {
-    await pushEvent({
-      username, avatarUrl, command,
-      timestamp: admin.database.ServerValue.TIMESTAMP
-    });
-    res.json({ ok: true });
+    res.json({ ok: true, room: await rooms.create(req.body, req.session.sub) });
   } catch (e) {
-    res.status(500).json({ error: 'failed' });
+    sendError(res, e, 'add room');
   }
 });
 
-// TikTok connection
-const tiktok = new WebcastPushConnection(TIKTOK_USERNAME, {});
-const lastEventByUser = new Map();
+app.delete('/admin/rooms/:id', requireRole('rooms'), async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await rooms.remove(req.params.id, { purge: String(req.query.purge) === 'true' })) });
+  } catch (e) {
+    sendError(res, e, 'remove room');
+  }
+});
+
+// Everything below is per room: mounted at /rooms/<id> for each room and at
+// the root for the default room, with req.room set.
+const roomRoutes = express.Router();
+
+roomRoutes.get('/health', (req, res) => {
+  res.json({ ok: true, ...req.room.status() });
+});
+
+// Live push channel for displays (see stream.js).
+roomRoutes.get('/stream', (req, res) => req.room.stream.handle(req, res));
+
+// Read-only, REST-shaped copies of the public paths (what the database rules
+// let anyone read), so a display can use <relay>/db as its Database URL when
+// the relay doesn't use Firebase. Takes orderBy/startAt/endAt/equalTo/
+// limitToFirst/limitToLast like the REST API.
+const PUBLIC_COLLECTIONS = ['events', 'leaderboard'];
+const PUBLIC_DOCS = ['config', 'schedule'];
+const QUERY_PARAMS = { orderBy: 'orderBy', startAt: 'startAt', endAt: 'endAt', equalTo: 'equalTo', limitToFirst: 'first', limitToLast: 'last' };
 
-function allowedByCooldown(username) {
-  const now = Date.now();
-  const last = lastEventByUser.get(username) || 0;
-  if (now - last < SPAWN_COOLDOWN_MS) return false;
-  lastEventByUser.set(username, now);
-  return true;
+async function readPublic(req, res) {
+  try {
+    const { store: roomStore } = req.room;
+    if (PUBLIC_DOCS.includes(req.params.name)) return res.json(await roomStore[req.params.name].get());
+    if (!PUBLIC_COLLECTIONS.includes(req.params.name)) return res.status(404).json({ error: 'not found' });
+    const repo = roomStore[req.params.name];
+    const query = {};
+    for (const [param, key] of Object.entries(QUERY_PARAMS)) {
+      if (req.query[param] === undefined) continue;
+      try {
+        query[key] = JSON.parse(req.query[param]);
+      } catch (e) {
+        return res.status(400).json({ error: `${param} must be JSON` });
+      }
+    }
+    const rows = await repo.query(query);
+    res.json(rows.length ? Object.fromEntries(rows) : null);
+  } catch (e) {
+    sendError(res, e, 'public read');
+  }
 }
 
-function shouldSpawnForGift(gift) {
-  const isStreak = typeof gift.repeatEnd === 'boolean' || (gift.repeatCount && gift.repeatCount > 0);
-  if (!isStreak) return true;
-  if (STREAK_MODE === 'every') return true;
-  if (STREAK_MODE === 'first') {
-    return gift.repeatStart === true || gift.repeatCount === 1 || gift.repeatEnd === true;
+roomRoutes.get('/db/:name.json', readPublic);
+
+// Past seasons and the live one (seasons.js); public, like the leaderboard.
+roomRoutes.get('/seasons', async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    res.json({ ok: true, current: req.room.seasons.current(), seasons: await req.room.seasons.list({ limit }) });
+  } catch (e) {
+    sendError(res, e, 'list seasons');
+  }
+});
+
+roomRoutes.get('/seasons/:number', async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await req.room.seasons.get(req.params.number)) });
+  } catch (e) {
+    sendError(res, e, 'season');
   }
-  return gift.repeatEnd === true;
+});
+
+// Viewer lookups (viewers.js): public, limited per IP across all rooms.
+function limitViewers(req, res, next) {
+  if (viewerLimiter.take('viewer', req.ip)) return next();
+  res.set('Retry-After', String(Math.ceil(VIEWER_API_REFILL_MS / 1000)));
+  return res.status(429).json({ error: 'too many requests' });
 }
 
-async function handleChat(data) {
-  try {
-    const username = data?.uniqueId || data?.nickname || 'viewer';
-    const avatarUrl = data?.profilePictureUrl || '';
-    const raw = (data?.comment || '').trim();
-    if (!raw) return;
-    const comment = raw.toLowerCase();
-
-    // Redeem parsing
-    const redeemMap = {
-      t1: ['!t1', '!tier1', '!redeem t1', '!redeem tier1'],
-      t2: ['!t2', '!tier2', '!redeem t2', '!redeem tier2'],
-      t3: ['!t3', '!tier3', '!redeem t3', '!redeem tier3']
-    };
-    let redeemTier = null;
-    for (const tier of Object.keys(redeemMap)) {
-      if (redeemMap[tier].some(k => comment === k)) {
-        redeemTier = tier;
-        break;
+const queryInt = value => (value === undefined ? undefined : Number(value));
+
+roomRoutes.get('/viewers/:username', limitViewers, async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await req.room.viewers.profile(req.params.username)) });
+  } catch (e) {
+    sendError(res, e, 'viewer');
+  }
+});
+
+// ?around=<username> or ?rank=<n> centres the page, else ?offset=<n>; ?limit= up to 100.
+roomRoutes.get('/leaderboard', limitViewers, async (req, res) => {
+  try {
+    const { around, rank, offset, limit } = req.query;
+    res.json({
+      ok: true,
+      ...(await req.room.viewers.slice({ around, rank: queryInt(rank), offset: queryInt(offset), limit: queryInt(limit) }))
+    });
+  } catch (e) {
+    sendError(res, e, 'leaderboard');
+  }
+});
+
+// Closes the live season into an archived snapshot and starts the next one
+// with an empty board; displays clear theirs on the admin event.
+async function closeSeason(req, res) {
+  try {
+    const { name, nextName } = req.body || {};
+    const result = await req.room.seasons.close({ name, nextName, by: req.session.sub });
+    await req.room.pushEvent({ type: 'admin', action: 'reset-leaderboard', detail: { season: result.closed.number } });
+    req.room.webhooks.notify('season', { ...result.closed, next: result.current.name });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    sendError(res, e, 'close season');
+  }
+}
+
+roomRoutes.post('/admin/seasons/close', requireRole('leaderboard'), closeSeason);
+// Older name for the same thing.
+roomRoutes.post('/admin/reset-leaderboard', requireRole('leaderboard'), closeSeason);
+
+roomRoutes.post('/admin/spawn-toggle', requireRole('spawn'), async (req, res) => {
+  try {
+    const enabled = String(req.query.enabled || '').toLowerCase() === 'true';
+    await req.room.configStore.commit({ spawnEnabled: enabled }, { author: req.session.sub, note: 'spawn toggle' });
+    await req.room.pushEvent({ type: 'admin', action: 'spawn-toggle', detail: { enabled } });
+    res.json({ ok: true, spawnEnabled: enabled });
+  } catch (e) {
+    sendError(res, e, 'spawn-toggle');
+  }
+});
+
+roomRoutes.get('/admin/config', requireRole('config'), (req, res) => {
+  res.json({ ok: true, ...req.room.configView() });
+});
+
+// Any of spawnEnabled, streakMode, commands, giftRules, rateLimits (merged per
+// class), triggers (merged per trigger) and cooldownMs, plus an optional note;
+// saved as a new version.
+roomRoutes.post('/admin/config', requireRole('config'), async (req, res) => {
+  try {
+    const { note, cooldownMs, rateLimits, triggers, ...body } = req.body || {};
+    const patch = {};
+    for (const k of ['spawnEnabled', 'streakMode', 'commands', 'giftRules']) {
+      if (body[k] !== undefined) patch[k] = body[k];
+    }
+    if (rateLimits !== undefined || cooldownMs !== undefined) {
+      const limits = { ...req.room.configStore.get().rateLimits };
+      for (const [cls, v] of Object.entries(rateLimits || {})) limits[cls] = { ...limits[cls], ...v };
+      if (cooldownMs !== undefined) limits.chat = { ...limits.chat, refillMs: cooldownMs };
+      patch.rateLimits = limits;
+    }
+    if (triggers !== undefined) {
+      if (!triggers || typeof triggers !== 'object' || Array.isArray(triggers)) {
+        return res.status(400).json({ error: 'triggers must be an object' });
+      }
+      const merged = { ...req.room.configStore.get().triggers };
+      for (const [type, v] of Object.entries(triggers)) {
+        merged[type] = v && typeof v === 'object' && !Array.isArray(v) ? { ...merged[type], ...v } : v;
       }
+      patch.triggers = merged;
     }
+    await req.room.configStore.commit(patch, { author: req.session.sub, note });
+    res.json({ ok: true, ...req.room.configView() });
+  } catch (e) {
+    sendError(res, e, 'config');
+  }
+});
 
-    if (redeemTier) {
-      // Always push event (point deduction client-side for now)
-      await pushEvent({
-        username,
-        avatarUrl,
-        command: `redeem:${redeemTier}`,
-        timestamp: admin.database.ServerValue.TIMESTAMP
-      });
-      return;
-    }
+// Outbound webhooks (webhooks.js). The secret is only shown in full when the
+// hook is created.
+roomRoutes.get('/admin/webhooks', requireRole('webhooks'), (req, res) => {
+  res.json({ ok: true, webhooks: req.room.webhooks.list(), ...req.room.webhooks.status() });
+});
 
-    // Drop command
-    if (comment.includes('!drop') || comment === 'drop') {
-      if (!allowedByCooldown(username)) return;
-      if (!SPAWN_ENABLED) return;
-      await pushEvent({
-        username,
-        avatarUrl,
-        command: '!drop',
-        timestamp: admin.database.ServerValue.TIMESTAMP
-      });
-    }
+roomRoutes.post('/admin/webhooks', requireRole('webhooks'), async (req, res) => {
+  try {
+    res.json({ ok: true, webhook: await req.room.webhooks.create(req.body, req.session.sub) });
   } catch (e) {
-    console.error('handleChat error', e);
+    sendError(res, e, 'create webhook');
   }
-}
+});
 
-async function handleGift(gift) {
+roomRoutes.patch('/admin/webhooks/:id', requireRole('webhooks'), async (req, res) => {
   try {
-    const username = gift?.uniqueId || gift?.nickname || 'viewer';
-    const avatarUrl = gift?.profilePictureUrl || '';
-    const giftName = gift?.giftName || 'gift';
-    const diamonds = Number(gift?.diamondCount || 0);
+    res.json({ ok: true, webhook: await req.room.webhooks.update(req.params.id, req.body) });
+  } catch (e) {
+    sendError(res, e, 'update webhook');
+  }
+});
 
-    if (!shouldSpawnForGift(gift)) return;
-    if (!allowedByCooldown(username)) return;
-    if (!SPAWN_ENABLED) return;
+roomRoutes.delete('/admin/webhooks/:id', requireRole('webhooks'), async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await req.room.webhooks.remove(req.params.id)) });
+  } catch (e) {
+    sendError(res, e, 'delete webhook');
+  }
+});
 
-    await pushEvent({
-      username,
-      avatarUrl,
-      command: `gift:${giftName}:${diamonds}`,
-      timestamp: admin.database.ServerValue.TIMESTAMP
-    });
+// Answers with the first attempt; failures retry and dead-letter as usual.
+roomRoutes.post('/admin/webhooks/:id/test', requireRole('webhooks'), async (req, res) => {
+  try {
+    res.json({ ok: true, result: await req.room.webhooks.test(req.params.id) });
+  } catch (e) {
+    sendError(res, e, 'test webhook');
+  }
+});
+
+roomRoutes.get('/admin/webhooks/dead-letters', requireRole('webhooks'), async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    res.json({ ok: true, deadLetters: await req.room.webhooks.deadLetters({ limit }) });
+  } catch (e) {
+    sendError(res, e, 'list dead letters');
+  }
+});
+
+roomRoutes.post('/admin/webhooks/dead-letters/:id/retry', requireRole('webhooks'), async (req, res) => {
+  try {
+    res.json({ ok: true, result: await req.room.webhooks.retryDead(req.params.id) });
+  } catch (e) {
+    sendError(res, e, 'retry dead letter');
+  }
+});
+
+roomRoutes.delete('/admin/webhooks/dead-letters/:id', requireRole('webhooks'), async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await req.room.webhooks.removeDead(req.params.id)) });
   } catch (e) {
-    console.error('handleGift error', e);
+    sendError(res, e, 'delete dead letter');
+  }
+});
+
+// Scheduled rules (scheduler.js): effects that switch on at set times.
+roomRoutes.get('/admin/schedules', requireRole('config'), (req, res) => {
+  res.json({ ok: true, rules: req.room.scheduler.list(), state: req.room.scheduler.state() });
+});
+
+roomRoutes.post('/admin/schedules', requireRole('config'), async (req, res) => {
+  try {
+    res.json({ ok: true, rule: await req.room.scheduler.create(req.body, req.session.sub) });
+  } catch (e) {
+    sendError(res, e, 'create schedule');
+  }
+});
+
+roomRoutes.patch('/admin/schedules/:id', requireRole('config'), async (req, res) => {
+  try {
+    res.json({ ok: true, rule: await req.room.scheduler.update(req.params.id, req.body) });
+  } catch (e) {
+    sendError(res, e, 'update schedule');
+  }
+});
+
+roomRoutes.delete('/admin/schedules/:id', requireRole('config'), async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await req.room.scheduler.remove(req.params.id)) });
+  } catch (e) {
+    sendError(res, e, 'delete schedule');
+  }
+});
+
+roomRoutes.get('/admin/config/versions', requireRole('config'), async (req, res) => {
+  try {
+    res.json({ ok: true, versions: await req.room.configStore.history(Math.min(Number(req.query.limit) || 20, 200)) });
+  } catch (e) {
+    sendError(res, e, 'config versions');
+  }
+});
+
+roomRoutes.get('/admin/config/versions/:version', requireRole('config'), async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await req.room.configStore.getVersion(Number(req.params.version))) });
+  } catch (e) {
+    sendError(res, e, 'config version');
+  }
+});
+
+// ?from=<version>&to=<version, default current>
+roomRoutes.get('/admin/config/diff', requireRole('config'), async (req, res) => {
+  try {
+    const to = req.query.to === undefined ? undefined : Number(req.query.to);
+    res.json({ ok: true, ...(await req.room.configStore.diff(Number(req.query.from), to)) });
+  } catch (e) {
+    sendError(res, e, 'config diff');
+  }
+});
+
+roomRoutes.post('/admin/config/rollback', requireRole('config'), async (req, res) => {
+  try {
+    await req.room.configStore.rollback(Number((req.body || {}).version), { author: req.session.sub });
+    res.json({ ok: true, ...req.room.configView() });
+  } catch (e) {
+    sendError(res, e, 'config rollback');
+  }
+});
+
+// Display pages: heartbeat, claim a drop before spawning, mirrors read req.room.claims.
+// Claims and landings carry the displayToken the heartbeat issued.
+// A heartbeat is provisioned by the DISPLAY_KEY or a session allowed to run displays.
+function provisionedDisplay(req) {
+  const { displayKey } = req.body || {};
+  if (DISPLAY_KEY && typeof displayKey === 'string') {
+    const digest = s => crypto.createHash('sha256').update(s).digest();
+    if (crypto.timingSafeEqual(digest(displayKey), digest(DISPLAY_KEY))) return true;
+  }
+  const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!bearer) return false;
+  try {
+    return auth.can(auth.verify(bearer).role, 'display');
+  } catch (e) {
+    return false;
   }
 }
 
-async function startTikTok() {
+roomRoutes.post('/displays/heartbeat', (req, res) => {
+  if (!heartbeatLimiter.take('heartbeat', req.ip)) {
+    res.set('Retry-After', '1');
+    return res.status(429).json({ error: 'too many heartbeats' });
+  }
+  const { displayId, role = 'auto', displayToken } = req.body || {};
   try {
-    const state = await tiktok.connect();
-    console.log(`Connected roomId ${state.roomId}`);
+    res.json({ ok: true, ...req.room.claims.heartbeat(displayId, role, displayToken, { provisioned: provisionedDisplay(req) }) });
+  } catch (e) {
+    sendError(res, e, 'heartbeat');
+  }
+});
 
-    tiktok.on('disconnected', () => {
-      console.log('Disconnected, retrying in 5s...');
-      setTimeout(() => startTikTok().catch(console.error), 5000);
-    });
+roomRoutes.post('/events/:id/claim', async (req, res) => {
+  const { displayId, xs, displayToken } = req.body || {};
+  try {
+    res.json({ ok: true, ...(await req.room.claims.claim(req.params.id, displayId, xs, displayToken)) });
+  } catch (e) {
+    sendError(res, e, 'claim');
+  }
+});
+
+roomRoutes.get('/events/:id/claim', async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await req.room.claims.describe(req.params.id)) });
+  } catch (e) {
+    sendError(res, e, 'describe claim');
+  }
+});
+
+roomRoutes.post('/landings', async (req, res) => {
+  const { dropId, ball = 0, slot, displayId, displayToken } = req.body || {};
+  try {
+    req.room.claims.verify(displayId, displayToken);
+    const result = await req.room.scoring.recordLanding({ dropId, ball, slot, displayId });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    sendError(res, e, 'landing');
+  }
+});
+
+roomRoutes.get('/admin/redemptions', requireRole('ledger'), async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const redemptions = await req.room.ledger.listRedemptions({ status: req.query.status, limit });
+    res.json({ ok: true, redemptions });
+  } catch (e) {
+    sendError(res, e, 'list redemptions');
+  }
+});
+
+roomRoutes.post('/admin/redemptions/:id/refund', requireRole('ledger'), async (req, res) => {
+  try {
+    const result = await req.room.ledger.refund(req.params.id, (req.body && req.body.reason) || 'admin refund');
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    sendError(res, e, 'refund');
+  }
+});
+
+roomRoutes.get('/admin/ledger/:username', requireRole('ledger'), async (req, res) => {
+  try {
+    const entries = await req.room.ledger.history(req.params.username, Math.min(Number(req.query.limit) || 50, 500));
+    res.json({ ok: true, entries });
+  } catch (e) {
+    sendError(res, e, 'ledger');
+  }
+});
+
+roomRoutes.post('/admin/spawn', requireRole('spawn'), async (req, res) => {
+  if (!DEV_MODE) return res.status(403).json({ error: 'DEV_MODE disabled' });
+  const { username = 'Tester', avatarUrl = '', command = '!drop' } = req.body || {};
+  try {
+    if (typeof command === 'string' && command.startsWith('redeem:')) {
+      const redemption = await req.room.ledger.requestRedemption({ username, avatarUrl, tier: command.split(':')[1] });
+      return res.json({ ok: true, redemption });
+    }
+    await req.room.pushDrop({ username, avatarUrl, command });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, 'spawn');
+  }
+});
 
-    tiktok.on('chat', handleChat);
-    tiktok.on('gift', handleGift);
-    tiktok.on('streamEnd', () => console.log('Stream ended.'));
-  } catch (err) {
-    console.error('TikTok connect failed:', err?.message || err);
-    setTimeout(() => startTikTok().catch(console.error), 7000);
+// Runs retention now; reports what it removed and the sizes after.
+roomRoutes.post('/admin/retention/compact', requireRole('retention'), async (req, res) => {
+  try {
+    const run = await req.room.retention.run();
+    res.json({ ok: true, run, size: await req.room.retention.size() });
+  } catch (e) {
+    sendError(res, e, 'retention');
   }
+});
+
+roomRoutes.get('/admin/retention', requireRole('retention'), async (req, res) => {
+  try {
+    res.json({ ok: true, ...req.room.retention.status(), size: await req.room.retention.size() });
+  } catch (e) {
+    sendError(res, e, 'retention');
+  }
+});
+
+// One archived day (YYYY-MM-DD) as NDJSON: [id, event, drop] per line.
+roomRoutes.get('/admin/retention/archive/:day', requireRole('retention'), async (req, res) => {
+  try {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.day)) return res.status(400).json({ error: 'day must be YYYY-MM-DD' });
+    const rows = await req.room.retention.readDay(req.params.day);
+    if (!rows.length) return res.status(404).json({ error: 'nothing archived that day' });
+    res.type('application/x-ndjson').send(rows.map(r => JSON.stringify(r)).join('\n') + '\n');
+  } catch (e) {
+    sendError(res, e, 'retention archive');
+  }
+});
+
+// A room's copy also sits where it would be in the database, so <relay>/db
+// works as the Database URL for any room.
+app.get('/db/rooms/:room/:name.json', (req, res, next) => {
+  req.room = rooms.get(req.params.room);
+  if (!req.room) return res.status(404).json({ error: 'no such room' });
+  return readPublic(req, res, next);
+});
+
+app.use('/rooms/:room', (req, res, next) => {
+  req.room = rooms.get(req.params.room);
+  if (!req.room) return res.status(404).json({ error: 'no such room' });
+  return next();
+}, roomRoutes);
+app.use((req, _res, next) => {
+  req.room = defaultRoom;
+  next();
+}, roomRoutes);
+
+async function runReplay() {
+  console.log(`Replaying ${REPLAY_FILE} at ${REPLAY_SPEED === 'max' ? 'max' : `${REPLAY_SPEED}x`} speed`);
+  try {
+    const summary = await replaySession(REPLAY_FILE, {
+      speed: REPLAY_SPEED,
+      normalize: normalizeRecord,
+      dispatch: defaultRoom.handleSourceEvent
+    });
+    console.log('Replay finished', JSON.stringify(summary, null, 2));
+  } catch (e) {
+    console.error('Replay failed', e);
+    process.exitCode = 1;
+  }
+  if (REPLAY_EXIT) process.exit();
 }
 
-(async () => {
-  await db.ref('config').update({
-    spawnEnabled: SPAWN_ENABLED,
-    cooldownMs: SPAWN_COOLDOWN_MS,
-    streakMode: STREAK_MODE
-  }).catch(()=>{});
-  startTikTok().catch(console.error);
-})();
-
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Plinkoo relay listening on :${PORT}`);
-});
\ No newline at end of file
+});
+
+(async () => {
+  await defaultRoom.load().catch(e => console.error('Loading config failed, using env defaults', e));
+  await moderation.load().catch(e => console.error('Loading moderation state failed', e));
+  defaultRoom.start({ server });
+  await rooms.start({ server }).catch(e => console.error('Starting rooms failed', e));
+  if (REPLAY_FILE) runReplay();
+})();
\ No newline at end of file
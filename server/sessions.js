@@ -0,0 +1,68 @@
+/* eslint-disable no-console */
+// Record-and-replay of live sessions. The recorder appends every raw inbound
+// event ({ at, source, event, payload }) to a JSONL file; replaySession()
+// feeds such a file back through the same handlers, at recorded pace, N times
+// faster, or as fast as possible.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+function createRecorder({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `session-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+  let count = 0;
+  stream.on('error', e => console.error('recorder write failed', e));
+  console.log(`Recording inbound events to ${file}`);
+
+  return {
+    file,
+    record({ source, event, payload }, at = Date.now()) {
+      count++;
+      stream.write(JSON.stringify({ at, source, event, payload }) + '\n');
+    },
+    close: () => new Promise(resolve => stream.end(resolve)),
+    status: () => ({ file, count })
+  };
+}
+
+// `speed` is a multiplier (1 = real time) or 'max'. `normalize(record)`
+// turns a line back into an internal event; `dispatch(evt)` handles it and
+// may return an outcome string, which is tallied into the summary.
+async function replaySession(file, { speed = 1, normalize, dispatch, sleep }) {
+  const factor = speed === 'max' ? Infinity : Number(speed) || 1;
+  const wait = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const summary = { file, speed: factor === Infinity ? 'max' : factor, events: 0, skipped: 0, outcomes: {} };
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let prevAt = null;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let rec;
+    try {
+      rec = JSON.parse(line);
+    } catch (e) {
+      summary.skipped++;
+      continue;
+    }
+    if (prevAt !== null && factor !== Infinity && rec.at > prevAt) {
+      await wait((rec.at - prevAt) / factor);
+    }
+    prevAt = rec.at;
+
+    const evt = normalize(rec);
+    if (!evt) {
+      summary.skipped++;
+      continue;
+    }
+    // Cooldowns run on event time, so the recorded timestamp keeps them
+    // faithful at any replay speed.
+    evt.at = rec.at;
+    summary.events++;
+    const outcome = `${evt.type}:${(await dispatch(evt)) || 'ignored'}`;
+    summary.outcomes[outcome] = (summary.outcomes[outcome] || 0) + 1;
+  }
+  return summary;
+}
+
+module.exports = { createRecorder, replaySession };
@@ -0,0 +1,43 @@
+// The one internal event shape every source adapter emits:
+//
+//   { source, type: 'chat' | 'gift' | 'like' | 'follow' | 'share' | 'member' | 'subscribe', at,
+//     userId, username, nickname, avatarUrl, isModerator, isSubscriber,
+//     topGifterRank,                                          // all types
+//     comment,                                                // chat
+//     giftId, giftName, diamonds, repeatCount, repeatEnd,
+//     streakable,                                             // gift
+//     likeCount, totalLikes,                                  // like
+//     subMonth }                                              // subscribe
+const EVENT_TYPES = ['chat', 'gift', 'like', 'follow', 'share', 'member', 'subscribe'];
+
+function sourceEvent(source, type, fields) {
+  const username = String(fields.username || fields.nickname || 'viewer');
+  return {
+    source,
+    type,
+    at: fields.at || Date.now(),
+    userId: fields.userId ? String(fields.userId) : username,
+    username,
+    nickname: fields.nickname || username,
+    avatarUrl: fields.avatarUrl || '',
+    isModerator: !!fields.isModerator,
+    isSubscriber: !!fields.isSubscriber,
+    topGifterRank: Number.isInteger(fields.topGifterRank) ? fields.topGifterRank : null,
+    ...(type === 'chat' ? { comment: String(fields.comment || '') } : {}),
+    ...(type === 'gift' ? {
+      giftId: fields.giftId == null ? null : fields.giftId,
+      giftName: fields.giftName || 'gift',
+      diamonds: Number(fields.diamonds || 0),
+      repeatCount: Number(fields.repeatCount || 0),
+      repeatEnd: typeof fields.repeatEnd === 'boolean' ? fields.repeatEnd : undefined,
+      streakable: !!fields.streakable
+    } : {}),
+    ...(type === 'like' ? {
+      likeCount: Number(fields.likeCount || 0),
+      totalLikes: Number(fields.totalLikes || 0)
+    } : {}),
+    ...(type === 'subscribe' ? { subMonth: Number(fields.subMonth || 1) } : {})
+  };
+}
+
+module.exports = { sourceEvent, EVENT_TYPES };
@@ -0,0 +1,40 @@
+// Event-source adapters. Each adapter turns a platform's raw events into the
+// internal shape from ./event.js and hands them to `emit(evt, raw)`, where
+// raw is { source, event, payload } as received (used for recording). Enable
+// any mix via SOURCES (e.g. "tiktok,irc").
+const tiktok = require('./tiktok');
+const irc = require('./irc');
+const manual = require('./manual');
+
+const ADAPTERS = {
+  tiktok: tiktok.createTikTokSource,
+  irc: irc.createIrcSource,
+  manual: manual.createManualSource
+};
+
+// Re-normalizes a recorded raw event (see sessions.js).
+const NORMALIZERS = {
+  tiktok: (event, payload) => tiktok.normalize(event, payload),
+  irc: (event, payload) => irc.normalize(irc.parseLine(String(payload || ''))),
+  manual: (event, payload) => manual.normalize(payload)
+};
+
+function normalizeRecord({ source, event, payload } = {}) {
+  const normalize = NORMALIZERS[source];
+  return normalize ? normalize(event, payload) : null;
+}
+
+function createSources(names, options, emit) {
+  const unknown = names.filter(n => !ADAPTERS[n]);
+  if (unknown.length) {
+    throw new Error(`Unknown source(s): ${unknown.join(', ')} (available: ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+  const sources = names.map(n => ADAPTERS[n](options[n] || {}, (evt, raw) => emit(evt, { source: n, ...raw })));
+  return {
+    start(context) { sources.forEach(s => s.start(context)); },
+    stop() { sources.forEach(s => s.stop()); },
+    status: () => sources.map(s => s.status())
+  };
+}
+
+module.exports = { createSources, normalizeRecord, ADAPTERS };
@@ -0,0 +1,130 @@
+/* eslint-disable no-console */
+// Generic IRC chat source. Speaks plain RFC 1459 and understands the Twitch
+// IRCv3 extensions (tags for display names, badges and bits), so it works
+// with irc.chat.twitch.tv as well as ordinary IRC servers.
+const net = require('net');
+const tls = require('tls');
+const { sourceEvent } = require('./event');
+
+function unescapeTag(v) {
+  return String(v || '').replace(/\\(.)/g, (_, c) => ({ s: ' ', ':': ';', r: '\r', n: '\n' }[c] || c));
+}
+
+// ":nick!user@host PRIVMSG #chan :hello" with an optional "@k=v;..." prefix.
+function parseLine(line) {
+  let rest = line;
+  const tags = {};
+  if (rest.startsWith('@')) {
+    const end = rest.indexOf(' ');
+    for (const pair of rest.slice(1, end).split(';')) {
+      const eq = pair.indexOf('=');
+      if (eq === -1) tags[pair] = '';
+      else tags[pair.slice(0, eq)] = unescapeTag(pair.slice(eq + 1));
+    }
+    rest = rest.slice(end + 1);
+  }
+  let prefix = '';
+  if (rest.startsWith(':')) {
+    const end = rest.indexOf(' ');
+    prefix = rest.slice(1, end);
+    rest = rest.slice(end + 1);
+  }
+  const trailingAt = rest.indexOf(' :');
+  const trailing = trailingAt === -1 ? null : rest.slice(trailingAt + 2);
+  const params = (trailingAt === -1 ? rest : rest.slice(0, trailingAt)).split(' ').filter(Boolean);
+  const command = params.shift() || '';
+  if (trailing !== null) params.push(trailing);
+  return { tags, prefix, command: command.toUpperCase(), params };
+}
+
+function normalize(msg) {
+  if (!msg || msg.command !== 'PRIVMSG') return null;
+  const nick = msg.prefix.split('!')[0];
+  const badges = String(msg.tags.badges || '');
+  const fields = {
+    userId: msg.tags['user-id'] || nick,
+    username: nick,
+    nickname: msg.tags['display-name'] || nick,
+    isModerator: msg.tags.mod === '1' || badges.includes('broadcaster/'),
+    isSubscriber: msg.tags.subscriber === '1',
+    comment: msg.params[1] || ''
+  };
+  // Twitch cheers arrive as chat lines with a bits tag; treat them as gifts.
+  const bits = Number(msg.tags.bits || 0);
+  if (bits > 0) {
+    return sourceEvent('irc', 'gift', { ...fields, giftId: 'bits', giftName: 'bits', diamonds: bits });
+  }
+  return sourceEvent('irc', 'chat', fields);
+}
+
+function createIrcSource({ host = 'irc.chat.twitch.tv', port = 6697, useTls = true, nick, password, channel }, emit) {
+  const chan = '#' + String(channel || '').replace(/^#/, '').toLowerCase();
+  const login = nick || `justinfan${Math.floor(10000 + Math.random() * 80000)}`;
+  let socket = null;
+  let stopped = false;
+  let connected = false;
+  let retryTimer = null;
+  let reconnects = 0;
+
+  function send(line) {
+    if (socket && !socket.destroyed) socket.write(line + '\r\n');
+  }
+
+  function connect() {
+    if (stopped) return;
+    if (chan === '#') {
+      console.error('IRC source: IRC_CHANNEL is not set.');
+      return;
+    }
+    let buffer = '';
+    socket = useTls ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.setEncoding('utf8');
+    socket.on(useTls ? 'secureConnect' : 'connect', () => {
+      if (password) send(`PASS ${password}`);
+      send(`NICK ${login}`);
+      send('CAP REQ :twitch.tv/tags twitch.tv/commands');
+      send(`JOIN ${chan}`);
+    });
+    socket.on('data', chunk => {
+      buffer += chunk;
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line) continue;
+        const msg = parseLine(line);
+        if (msg.command === 'PING') send(`PONG :${msg.params[0] || ''}`);
+        else if (msg.command === 'JOIN' && msg.prefix.split('!')[0].toLowerCase() === login.toLowerCase()) {
+          connected = true;
+          console.log(`IRC joined ${chan} on ${host}`);
+        } else {
+          const evt = normalize(msg);
+          if (evt) emit(evt, { event: 'line', payload: line });
+        }
+      }
+    });
+    socket.on('error', err => console.error('IRC error:', err?.message || err));
+    socket.on('close', () => {
+      connected = false;
+      if (stopped) return;
+      console.log('IRC disconnected, retrying in 5s...');
+      clearTimeout(retryTimer);
+      retryTimer = setTimeout(() => {
+        reconnects++;
+        connect();
+      }, 5000);
+    });
+  }
+
+  return {
+    name: 'irc',
+    start: connect,
+    stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.destroy();
+    },
+    status: () => ({ name: 'irc', host, channel: chan, connected, reconnects })
+  };
+}
+
+module.exports = { createIrcSource, parseLine, normalize };
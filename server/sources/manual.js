@@ -0,0 +1,74 @@
+/* eslint-disable no-console */
+// "Manual" source: a local WebSocket endpoint on the relay's own HTTP server.
+// Each message is one JSON event in the internal shape, e.g.
+//   {"type":"chat","username":"alice","comment":"!drop"}
+//   {"type":"gift","username":"bob","giftName":"Rose","diamonds":1}
+// Handy for testing and for bridging platforms that have no adapter yet.
+const { WebSocketServer } = require('ws');
+const { sourceEvent, EVENT_TYPES } = require('./event');
+
+function normalize(msg) {
+  if (!msg || typeof msg !== 'object' || !EVENT_TYPES.includes(msg.type)) return null;
+  return sourceEvent('manual', msg.type, msg);
+}
+
+function createManualSource({ token, path = '/sources/manual' }, emit) {
+  let wss = null;
+  let clients = 0;
+  let httpServer = null;
+
+  function onUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) return;
+    if (url.searchParams.get('token') !== token) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws));
+  }
+
+  function start({ server }) {
+    if (!token) {
+      console.error('Manual source: no token configured (MANUAL_SOURCE_TOKEN or ADMIN_TOKEN); not starting.');
+      return;
+    }
+    wss = new WebSocketServer({ noServer: true });
+    httpServer = server;
+    server.on('upgrade', onUpgrade);
+    wss.on('connection', ws => {
+      clients++;
+      ws.on('close', () => { clients--; });
+      ws.on('message', data => {
+        let msg;
+        try {
+          msg = JSON.parse(String(data));
+        } catch (e) {
+          ws.send(JSON.stringify({ ok: false, error: 'invalid JSON' }));
+          return;
+        }
+        const evt = normalize(msg);
+        if (!evt) {
+          ws.send(JSON.stringify({ ok: false, error: `type must be one of ${EVENT_TYPES.join(', ')}` }));
+          return;
+        }
+        emit(evt, { event: 'message', payload: msg });
+        ws.send(JSON.stringify({ ok: true }));
+      });
+    });
+    console.log(`Manual source listening on ws://<host>${path}`);
+  }
+
+  return {
+    name: 'manual',
+    start,
+    stop() {
+      if (httpServer) httpServer.off('upgrade', onUpgrade);
+      if (wss) wss.clients.forEach(ws => ws.terminate());
+      wss = null;
+    },
+    status: () => ({ name: 'manual', path, connected: !!wss, clients })
+  };
+}
+
+module.exports = { createManualSource, normalize };
@@ -0,0 +1,167 @@
+/* eslint-disable no-console */
+const { WebcastPushConnection } = require('tiktok-live-connector');
+const { sourceEvent } = require('./event');
+
+// Connector events we forward, by internal type.
+const TIKTOK_EVENTS = ['chat', 'gift', 'like', 'follow', 'share', 'member', 'subscribe'];
+
+function normalize(eventName, data) {
+  if (!TIKTOK_EVENTS.includes(eventName) || !data) return null;
+  return sourceEvent('tiktok', eventName, {
+    userId: data.userId,
+    username: data.uniqueId,
+    nickname: data.nickname,
+    avatarUrl: data.profilePictureUrl,
+    isModerator: data.isModerator,
+    isSubscriber: data.isSubscriber,
+    topGifterRank: data.topGifterRank,
+    comment: data.comment,
+    giftId: data.giftId,
+    giftName: data.giftName,
+    diamonds: data.diamondCount,
+    repeatCount: data.repeatCount,
+    repeatEnd: data.repeatEnd,
+    streakable: data.giftType === 1,
+    likeCount: data.likeCount,
+    totalLikes: data.totalLikeCount,
+    subMonth: data.subMonth
+  });
+}
+
+// Connection states:
+//   connecting - connect() in flight
+//   live       - connected to the room, events flowing
+//   offline    - the account isn't live (or the LIVE ended); checked again
+//                on a slow backoff
+//   backoff    - dropped or failed to connect; waiting to retry
+//   error      - still failing after ERROR_AFTER attempts (keeps retrying),
+//                or no username to connect to (doesn't)
+//   stopped    - stop() was called
+const RETRY = { baseMs: 2000, maxMs: 60000 };
+const OFFLINE_RETRY = { baseMs: 15000, maxMs: 300000 };
+const ERROR_AFTER = 5;
+// A connection that lasted this long starts the backoff over when it drops.
+const STABLE_MS = 60000;
+
+// Exponential, with jitter so several relays don't retry in lockstep.
+function backoffDelay({ baseMs, maxMs }, attempt) {
+  return Math.round(Math.min(maxMs, baseMs * 2 ** attempt) * (0.5 + Math.random() / 2));
+}
+
+// The connector's UserOfflineError also covers a blocked IP, so go by the message.
+const isOffline = err => /offline|LIVE has ended/i.test(String(err?.message || ''));
+
+function createTikTokSource({ username }, emit) {
+  const connection = new WebcastPushConnection(username, {});
+  let state = 'connecting';
+  let stateSince = Date.now();
+  let attempts = 0;
+  let reconnects = 0;
+  let roomId = null;
+  let lastEventAt = null;
+  let lastError = null;
+  let liveSince = null;
+  let streamEnded = false;
+  let retryTimer = null;
+  let retryAt = null;
+  let retryKind = null;
+
+  function setState(next, err) {
+    if (err !== undefined) lastError = err ? String(err.message || err) : null;
+    if (next === state) return;
+    state = next;
+    stateSince = Date.now();
+    const reason = lastError && ['backoff', 'error', 'offline'].includes(next) ? `: ${lastError}` : '';
+    console.log(`TikTok ${next}${reason}`);
+  }
+
+  // Registered once: every reconnect reuses this connection object.
+  for (const name of TIKTOK_EVENTS) {
+    connection.on(name, data => {
+      lastEventAt = Date.now();
+      const evt = normalize(name, data);
+      if (evt) emit(evt, { event: name, payload: data });
+    });
+  }
+  connection.on('streamEnd', () => {
+    streamEnded = true;
+  });
+  // Connect failures are reported by connect(); this is for the live socket.
+  connection.on('error', ({ info, exception } = {}) => {
+    if (state !== 'connecting') console.error(`TikTok ${info || 'error'}:`, exception?.message || exception);
+  });
+  connection.on('disconnected', () => {
+    if (state === 'stopped') return;
+    if (liveSince && Date.now() - liveSince >= STABLE_MS) attempts = 0;
+    liveSince = null;
+    const ended = streamEnded;
+    streamEnded = false;
+    schedule(ended ? 'offline' : 'backoff', ended ? null : 'disconnected');
+  });
+
+  // Offline checks and error retries back off separately.
+  function schedule(kind, err) {
+    const offline = kind === 'offline';
+    if (kind !== retryKind) attempts = 0;
+    retryKind = kind;
+    const delay = backoffDelay(offline ? OFFLINE_RETRY : RETRY, attempts++);
+    setState(offline ? 'offline' : attempts > ERROR_AFTER ? 'error' : 'backoff', err);
+    clearTimeout(retryTimer);
+    retryAt = Date.now() + delay;
+    retryTimer = setTimeout(connect, delay);
+  }
+
+  async function connect() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    retryAt = null;
+    if (state === 'stopped') return;
+    if (!username) {
+      setState('error', 'TIKTOK_USERNAME is not set');
+      return;
+    }
+    if (retryKind) reconnects++;
+    setState('connecting');
+    try {
+      const result = await connection.connect();
+      if (state === 'stopped') return connection.disconnect();
+      roomId = result.roomId;
+      liveSince = Date.now();
+      setState('live', null);
+      console.log(`Connected roomId ${roomId}`);
+    } catch (err) {
+      if (state === 'stopped') return;
+      schedule(isOffline(err) ? 'offline' : 'backoff', err);
+    }
+  }
+
+  return {
+    name: 'tiktok',
+    start: connect,
+    stop() {
+      setState('stopped');
+      clearTimeout(retryTimer);
+      retryAt = null;
+      connection.disconnect();
+    },
+    status: () => {
+      const now = Date.now();
+      return {
+        name: 'tiktok',
+        username,
+        state,
+        stateForMs: now - stateSince,
+        connected: state === 'live',
+        roomId,
+        lastEventAt,
+        sinceLastEventMs: lastEventAt ? now - lastEventAt : null,
+        attempts,
+        reconnects,
+        retryInMs: retryAt ? Math.max(0, retryAt - now) : null,
+        lastError
+      };
+    }
+  };
+}
+
+module.exports = { createTikTokSource, normalize };
@@ -0,0 +1,57 @@
+// Storage backend over the firebase-admin Database API (see index.js). Also
+// runs on memoryDb and restDb, which implement the same subset.
+
+function createFirebaseBackend({ db }) {
+  function collection(path) {
+    const ref = id => db.ref(`${path}/${id}`);
+    return {
+      newId: () => db.ref(path).push().key,
+      async get(id) {
+        return (await ref(id).once('value')).val();
+      },
+      set: (id, value) => ref(id).set(value),
+      update: (id, fields) => ref(id).update(fields),
+      remove: id => ref(id).remove(),
+      clear: () => db.ref(path).set(null),
+      async push(value) {
+        const child = db.ref(path).push();
+        await child.set(value);
+        return child.key;
+      },
+      async all() {
+        return (await db.ref(path).once('value')).val() || {};
+      },
+      async transact(id, fn) {
+        const result = await ref(id).transaction(fn);
+        return { committed: result.committed, value: result.snapshot.val() };
+      },
+      async query({ orderBy = '$key', startAt, endAt, equalTo, first, last } = {}) {
+        let q = orderBy === '$key' ? db.ref(path).orderByKey() : db.ref(path).orderByChild(orderBy);
+        if (startAt !== undefined) q = q.startAt(startAt);
+        if (endAt !== undefined) q = q.endAt(endAt);
+        if (equalTo !== undefined) q = q.equalTo(equalTo);
+        if (first) q = q.limitToFirst(first);
+        if (last) q = q.limitToLast(last);
+        const snap = await q.once('value');
+        const out = [];
+        snap.forEach(child => {
+          out.push([child.key, child.val()]);
+        });
+        return out;
+      }
+    };
+  }
+
+  function doc(path) {
+    return {
+      async get() {
+        return (await db.ref(path).once('value')).val();
+      },
+      set: value => db.ref(path).set(value)
+    };
+  }
+
+  return { collection, doc, removeTree: path => db.ref(path).remove() };
+}
+
+module.exports = { createFirebaseBackend };
@@ -0,0 +1,148 @@
+/* eslint-disable no-console */
+// Persistence behind repositories. A backend provides two primitives for a
+// path-like name:
+//   collection(name) - records keyed by id:
+//     newId(), get(id), set(id, value), update(id, fields), remove(id),
+//     clear(), push(value) -> id, all() -> { id: value },
+//     transact(id, fn) -> { committed, value }  (fn returning undefined aborts)
+//     query({ orderBy = '$key' | '<child>', startAt, endAt, equalTo, first, last })
+//       -> [[id, value], ...] in ascending order
+//   doc(name) - a single value: get(), set(value)
+//   removeTree(path) - deletes every collection and doc under path
+// Values behave as in the Realtime Database whatever the backend: nulls are
+// dropped, `{ '.sv': 'timestamp' }` becomes the write time.
+//
+// Writes through the repositories are reported to onChange(cb) listeners as
+// cb(name, id, value): id is null for a doc or a cleared collection, value is
+// null for a removal. Server timestamps are resolved to the relay's clock.
+//
+// Rooms (see room.js) keep their data under `rooms/<id>/`: room(id) returns
+// that room's repositories, with an onChange that only sees the room's writes
+// and reports names without the prefix. The root repositories are the
+// default room's; moderation, audit and the room index are shared.
+//
+// Backends: `firebase` (firebase-admin, or anything with its API such as
+// memoryDb / restDb) and `sqlite` (an embedded database file).
+const { createFirebaseBackend } = require('./firebase');
+const { normalize, exportValue } = require('../memoryDb');
+
+const resolve = value => exportValue(normalize(JSON.parse(JSON.stringify(value === undefined ? null : value)), null, Date.now()));
+
+function watchCollection(name, repo, notify) {
+  return {
+    ...repo,
+    async set(id, value) {
+      await repo.set(id, value);
+      notify(name, id, () => resolve(value));
+    },
+    async update(id, fields) {
+      await repo.update(id, fields);
+      notify(name, id, () => repo.get(id));
+    },
+    async remove(id) {
+      await repo.remove(id);
+      notify(name, id, () => null);
+    },
+    async clear() {
+      await repo.clear();
+      notify(name, null, () => null);
+    },
+    async push(value) {
+      const id = await repo.push(value);
+      notify(name, id, () => resolve(value));
+      return id;
+    },
+    async transact(id, fn) {
+      const result = await repo.transact(id, fn);
+      if (result.committed) notify(name, id, () => result.value);
+      return result;
+    }
+  };
+}
+
+function watchDoc(name, repo, notify) {
+  return {
+    ...repo,
+    async set(value) {
+      await repo.set(value);
+      notify(name, null, () => resolve(value));
+    }
+  };
+}
+
+const BACKENDS = {
+  firebase: createFirebaseBackend,
+  // Loaded on demand: better-sqlite3 is an optional dependency.
+  sqlite: options => require('./sqlite').createSqliteBackend(options)
+};
+
+function createStorage(kind, options = {}) {
+  if (!BACKENDS[kind]) {
+    throw new Error(`Unknown storage "${kind}" (available: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  const backend = BACKENDS[kind](options);
+  const listeners = new Set();
+  // `value` is a thunk so nothing is read back unless someone is listening.
+  async function notify(name, id, value) {
+    if (!listeners.size) return;
+    try {
+      const v = await value();
+      listeners.forEach(cb => cb(name, id, v));
+    } catch (e) {
+      console.error(`storage change listener failed for ${name}`, e);
+    }
+  }
+  const collection = name => watchCollection(name, backend.collection(name), notify);
+  const doc = name => watchDoc(name, backend.doc(name), notify);
+  const onChange = cb => {
+    listeners.add(cb);
+    return () => listeners.delete(cb);
+  };
+
+  // Per-room data, at `prefix` ('' for the default room).
+  const roomRepositories = prefix => ({
+    leaderboard: collection(`${prefix}leaderboard`), // leaderboardKey(username) -> { username, usernameLower, avatarUrl, score, lastUpdate }
+    events: collection(`${prefix}events`), // push id -> event (js/eventSchema.js)
+    drops: collection(`${prefix}drops`), // event id -> { username, balls, claim, landed }
+    ledger: userKey => collection(`${prefix}ledger/${userKey}`), // push id -> { delta, balance, reason, ref, at }
+    redemptions: collection(`${prefix}redemptions`),
+    config: doc(`${prefix}config`),
+    configVersions: collection(`${prefix}configVersions`),
+    eventArchive: day => collection(`${prefix}eventArchive/${day}`), // padded seq -> compressed batch of removed events (retention.js)
+    eventArchiveDays: collection(`${prefix}eventArchiveDays`), // UTC day -> { day, parts, count, first, last, rawBytes, bytes }
+    season: doc(`${prefix}season`), // the live season (seasons.js)
+    seasons: collection(`${prefix}seasons`), // padded number -> closed season summary
+    seasonStandings: collection(`${prefix}seasonStandings`), // padded number -> final standings
+    schedules: collection(`${prefix}schedules`), // push id -> scheduled rule (scheduler.js)
+    schedule: doc(`${prefix}schedule`), // public: the rules running now and the next one
+    webhooks: collection(`${prefix}webhooks`), // push id -> outbound webhook (webhooks.js)
+    webhookDeadLetters: collection(`${prefix}webhookDeadLetters`), // push id -> delivery that gave up
+    welcomed: collection(`${prefix}welcomed`) // viewer id -> { username, at }: followers already welcomed (triggers.js)
+  });
+
+  return {
+    kind,
+    ...roomRepositories(''),
+    audit: collection('audit'),
+    moderation: collection('moderation/users'),
+    bannedWords: doc('moderation/words'),
+    rooms: collection('roomIndex'), // room id -> { id, sources, tiktokUsername, ircChannel, createdAt, createdBy }
+    room(id) {
+      const prefix = `rooms/${id}/`;
+      return {
+        kind,
+        room: id,
+        ...roomRepositories(prefix),
+        onChange: cb => onChange((name, key, value) => {
+          if (name.startsWith(prefix)) cb(name.slice(prefix.length), key, value);
+        }),
+        // Removes all of the room's data.
+        clear: () => backend.removeTree(`rooms/${id}`)
+      };
+    },
+    onChange,
+    close: backend.close || (() => {})
+  };
+}
+
+module.exports = { createStorage, BACKENDS };
@@ -0,0 +1,119 @@
+// Embedded storage backend (see index.js): one SQLite file, no Google
+// account. Records are JSON rows in `records (collection, id, value)`, single
+// values in `docs (name, value)`. better-sqlite3 is synchronous, so each
+// transact() runs start to finish without interleaving: atomic for free.
+const Database = require('better-sqlite3');
+const { generatePushId, normalize, exportValue } = require('../memoryDb');
+
+function createSqliteBackend({ file, timestamp = () => Date.now() }) {
+  const sql = new Database(file);
+  sql.pragma('journal_mode = WAL');
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    );
+    CREATE TABLE IF NOT EXISTS docs (
+      name TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+
+  // Same shape a Realtime Database read would return after this write.
+  const clean = (value, existing) => exportValue(normalize(JSON.parse(JSON.stringify(value === undefined ? null : value)), existing, timestamp()));
+  const parse = row => (row ? JSON.parse(row.value) : null);
+
+  const stmt = {
+    get: sql.prepare('SELECT value FROM records WHERE collection = ? AND id = ?'),
+    put: sql.prepare('INSERT OR REPLACE INTO records (collection, id, value) VALUES (?, ?, ?)'),
+    del: sql.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    clear: sql.prepare('DELETE FROM records WHERE collection = ?'),
+    all: sql.prepare('SELECT id, value FROM records WHERE collection = ? ORDER BY id'),
+    getDoc: sql.prepare('SELECT value FROM docs WHERE name = ?'),
+    putDoc: sql.prepare('INSERT OR REPLACE INTO docs (name, value) VALUES (?, ?)'),
+    delDoc: sql.prepare('DELETE FROM docs WHERE name = ?'),
+    delTree: sql.prepare("DELETE FROM records WHERE collection = @path OR substr(collection, 1, length(@path) + 1) = @path || '/'"),
+    delDocTree: sql.prepare("DELETE FROM docs WHERE name = @path OR substr(name, 1, length(@path) + 1) = @path || '/'")
+  };
+
+  function collection(name) {
+    const get = id => parse(stmt.get.get(name, id));
+    const write = (id, value) => {
+      const next = clean(value, get(id));
+      if (next === null) stmt.del.run(name, id);
+      else stmt.put.run(name, id, JSON.stringify(next));
+      return next;
+    };
+
+    function query({ orderBy = '$key', startAt, endAt, equalTo, first, last } = {}) {
+      const key = orderBy === '$key' ? 'id' : 'json_extract(value, @path)';
+      const where = ['collection = @collection'];
+      if (startAt !== undefined) where.push(`${key} >= @startAt`);
+      if (endAt !== undefined) where.push(`${key} <= @endAt`);
+      if (equalTo !== undefined) where.push(`${key} = @equalTo`);
+      const dir = last ? 'DESC' : 'ASC';
+      const limit = last || first ? ` LIMIT ${Number(last || first)}` : '';
+      const params = { collection: name, startAt, endAt, equalTo };
+      if (orderBy !== '$key') params.path = `$."${orderBy}"`;
+      for (const k of Object.keys(params)) if (params[k] === undefined) delete params[k];
+      const rows = sql.prepare(`SELECT id, value FROM records WHERE ${where.join(' AND ')} ORDER BY ${key} ${dir}, id ${dir}${limit}`)
+        .all(params);
+      if (last) rows.reverse();
+      return rows.map(r => [r.id, JSON.parse(r.value)]);
+    }
+
+    return {
+      newId: () => generatePushId(timestamp()),
+      get: async id => get(id),
+      async set(id, value) {
+        write(id, value);
+      },
+      async update(id, fields) {
+        write(id, { ...(get(id) || {}), ...fields });
+      },
+      async remove(id) {
+        stmt.del.run(name, id);
+      },
+      async clear() {
+        stmt.clear.run(name);
+      },
+      async push(value) {
+        const id = generatePushId(timestamp());
+        write(id, value);
+        return id;
+      },
+      async all() {
+        return Object.fromEntries(stmt.all.all(name).map(r => [r.id, JSON.parse(r.value)]));
+      },
+      async transact(id, fn) {
+        const current = get(id);
+        const next = fn(current);
+        if (next === undefined) return { committed: false, value: current };
+        return { committed: true, value: write(id, next) };
+      },
+      query: async options => query(options)
+    };
+  }
+
+  function doc(name) {
+    return {
+      get: async () => parse(stmt.getDoc.get(name)),
+      async set(value) {
+        const next = clean(value, parse(stmt.getDoc.get(name)));
+        if (next === null) stmt.delDoc.run(name);
+        else stmt.putDoc.run(name, JSON.stringify(next));
+      }
+    };
+  }
+
+  const removeTree = async path => {
+    stmt.delTree.run({ path });
+    stmt.delDocTree.run({ path });
+  };
+
+  return { collection, doc, removeTree, close: () => sql.close() };
+}
+
+module.exports = { createSqliteBackend };
@@ -0,0 +1,74 @@
+/* eslint-disable no-console */
+// Push channel for displays: Server-Sent Events at GET /stream, fed by the
+// storage change feed (storage/index.js), so nothing has to poll.
+//   event: event        id: <event id>  data: { id, event }
+//   event: leaderboard  data: { full: {...} } on connect and reset,
+//                       then { key, entry } per change (entry null = removed)
+//   event: config       data: the public config (/config)
+//   event: schedule     data: the scheduled rules running now (/schedule)
+// A reconnecting EventSource sends Last-Event-ID (or ?lastEventId=) and is
+// sent the events it missed; a new connection gets the last `backlog` events.
+
+function createStream({ store, backlog = 100, keepAliveMs = 25000 }) {
+  const clients = new Set();
+
+  const format = (type, data, id) => `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  function broadcast(message) {
+    for (const client of clients) {
+      if (client.pending) client.pending.push(message);
+      else client.res.write(message);
+    }
+  }
+
+  const unsubscribe = store.onChange((name, id, value) => {
+    if (name === 'events' && id && value) broadcast(format('event', { id, event: value }, id));
+    else if (name === 'leaderboard') broadcast(format('leaderboard', id ? { key: id, entry: value } : { full: null }));
+    else if (name === 'config') broadcast(format('config', value));
+    else if (name === 'schedule') broadcast(format('schedule', value));
+  });
+
+  // Changes that happen while a client's backlog is being read are held in
+  // `pending` and sent after it.
+  async function handle(req, res) {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    const client = { res, pending: [] };
+    clients.add(client);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), keepAliveMs);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      clients.delete(client);
+    });
+
+    const lastId = String(req.get('last-event-id') || req.query.lastEventId || '');
+    try {
+      const [events, leaderboard, config, schedule] = await Promise.all([
+        lastId ? store.events.query({ startAt: lastId, first: backlog + 1 }) : store.events.query({ last: backlog }),
+        store.leaderboard.all(),
+        store.config.get(),
+        store.schedule.get()
+      ]);
+      res.write('retry: 2000\n\n');
+      res.write(format('leaderboard', { full: Object.keys(leaderboard).length ? leaderboard : null }));
+      res.write(format('config', config));
+      res.write(format('schedule', schedule));
+      for (const [id, event] of events) if (id !== lastId) res.write(format('event', { id, event }, id));
+    } catch (e) {
+      console.error('stream backlog failed', e);
+    }
+    client.pending.forEach(m => res.write(m));
+    client.pending = null;
+  }
+
+  // Stops listening and ends every client's response (a removed room).
+  function close() {
+    unsubscribe();
+    for (const client of clients) client.res.end();
+    clients.clear();
+  }
+
+  return { handle, close, clients: () => clients.size };
+}
+
+module.exports = { createStream };
@@ -0,0 +1,90 @@
+// Display registration, tokens and drop claims (claims.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryDb } = require('../memoryDb');
+const { createStorage } = require('../storage');
+const { createClaims } = require('../claims');
+
+function setup(options = {}) {
+  const store = createStorage('firebase', { db: createMemoryDb() });
+  let now = 1000;
+  const claims = createClaims({ store, timestamp: () => now, ...options });
+  return { store, claims, advance: ms => { now += ms; } };
+}
+
+async function drop(store, balls = 1) {
+  const id = store.events.newId();
+  await store.drops.set(id, { username: 'v', balls, createdAt: 0 });
+  return id;
+}
+
+test('only provisioned displays may register to claim', () => {
+  const { claims } = setup();
+  for (const role of ['auto', 'primary']) {
+    assert.throws(() => claims.heartbeat('d1', role), { status: 401 });
+  }
+  const { displayToken } = claims.heartbeat('d1', 'auto', undefined, { provisioned: true });
+  assert.match(displayToken, /^[0-9a-f]{48}$/);
+  // The token carries the provisioning, so later heartbeats need only it.
+  assert.strictEqual(claims.heartbeat('d1', 'primary', displayToken).primary, 'd1');
+});
+
+test('a mirror registers without provisioning but cannot claim or become a claimer', async () => {
+  const { store, claims } = setup();
+  const { displayToken } = claims.heartbeat('m1', 'mirror');
+  await assert.rejects(claims.claim(await drop(store), 'm1', [], displayToken), { status: 403 });
+  assert.throws(() => claims.heartbeat('m1', 'auto', displayToken), { status: 401 });
+});
+
+test('claims and heartbeats need the display token', async () => {
+  const { store, claims } = setup();
+  const { displayToken } = claims.heartbeat('d1', 'auto', undefined, { provisioned: true });
+  const id = await drop(store);
+  assert.throws(() => claims.heartbeat('d1', 'auto', 'wrong', { provisioned: true }), { status: 403 });
+  await assert.rejects(claims.claim(id, 'd1', []), { status: 403 });
+  await assert.rejects(claims.claim(id, 'd2', [], displayToken), { status: 403 });
+  assert.deepStrictEqual(await claims.claim(id, 'd1', [0.5], displayToken), { granted: true, balls: [0], takeover: false });
+});
+
+test('a claim is a lease: another display takes the unlanded balls once it lapses', async () => {
+  const { store, claims, advance } = setup({ leaseMs: 30000, staleMs: 15000 });
+  const a = claims.heartbeat('a', 'auto', undefined, { provisioned: true }).displayToken;
+  const b = claims.heartbeat('b', 'auto', undefined, { provisioned: true }).displayToken;
+  const id = await drop(store, 2);
+  assert.strictEqual((await claims.claim(id, 'a', [1, 2], a)).granted, true);
+  await store.drops.update(id, { landed: { 0: { slot: 3, points: 300, at: 0 } } });
+
+  const refused = await claims.claim(id, 'b', [], b);
+  assert.deepStrictEqual(refused, { granted: false, reason: 'claimed', owner: 'a', retryInMs: 30000 });
+
+  // `a` stops beating; `b` keeps going until the lease is over.
+  advance(20000);
+  claims.heartbeat('b', 'auto', b);
+  assert.strictEqual((await claims.claim(id, 'b', [], b)).reason, 'claimed');
+  advance(10000);
+  claims.heartbeat('b', 'auto', b);
+  assert.deepStrictEqual(await claims.claim(id, 'b', [], b), { granted: true, balls: [1], takeover: true });
+});
+
+test('a live primary wins every claim and cannot be displaced by a new one', async () => {
+  const { store, claims, advance } = setup({ staleMs: 15000 });
+  const p = claims.heartbeat('p', 'primary', undefined, { provisioned: true }).displayToken;
+  const a = claims.heartbeat('a', 'auto', undefined, { provisioned: true }).displayToken;
+  const id = await drop(store);
+  assert.deepStrictEqual(await claims.claim(id, 'a', [], a), { granted: false, reason: 'primary', owner: 'p' });
+  assert.throws(() => claims.heartbeat('q', 'primary', undefined, { provisioned: true }), { status: 409 });
+
+  // Once the primary goes quiet, a new one may register.
+  advance(16000);
+  assert.strictEqual(claims.heartbeat('q', 'primary', undefined, { provisioned: true }).primary, 'q');
+  assert.strictEqual((await claims.claim(id, 'p', [], p)).reason, 'primary');
+});
+
+test('a drop with every ball landed is done', async () => {
+  const { store, claims } = setup();
+  const a = claims.heartbeat('a', 'auto', undefined, { provisioned: true }).displayToken;
+  const id = await drop(store);
+  await store.drops.update(id, { landed: { 0: { slot: 0, points: 100, at: 0 } } });
+  assert.deepStrictEqual(await claims.claim(id, 'a', [], a), { granted: false, reason: 'done' });
+  await assert.rejects(claims.claim(store.events.newId(), 'a', [], a), { status: 404 });
+});
@@ -0,0 +1,65 @@
+// Versioned relay config: load, commit, diff and rollback (configStore.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryDb } = require('../memoryDb');
+const { createStorage } = require('../storage');
+const { createConfigStore } = require('../configStore');
+
+const defaults = { spawnEnabled: true, cooldownMs: 3000 };
+
+function validate(config) {
+  if (typeof config.spawnEnabled !== 'boolean') throw Object.assign(new Error('spawnEnabled must be a boolean'), { status: 400 });
+  return { spawnEnabled: config.spawnEnabled, cooldownMs: config.cooldownMs };
+}
+
+function setup(store = createStorage('firebase', { db: createMemoryDb() })) {
+  const applied = [];
+  let now = 0;
+  const configStore = createConfigStore({ store, defaults, validate, apply: c => applied.push(c), timestamp: () => ++now });
+  return { store, configStore, applied };
+}
+
+test('commits before load are refused', async () => {
+  const { configStore } = setup();
+  await assert.rejects(configStore.commit({ spawnEnabled: false }), { status: 503, message: 'config not loaded' });
+  await assert.rejects(configStore.diff(1), { status: 503 });
+});
+
+test('commits make versions that diff and roll back', async () => {
+  const { store, configStore, applied } = setup();
+  assert.strictEqual((await configStore.load()).version, 1);
+  await configStore.commit({ spawnEnabled: false }, { author: 'owner', note: 'pause' });
+  // A commit that changes nothing makes no version.
+  assert.strictEqual((await configStore.commit({ spawnEnabled: false })).version, 2);
+  await assert.rejects(configStore.commit({ spawnEnabled: 'no' }), { status: 400 });
+
+  assert.deepStrictEqual((await configStore.diff(1)).changes, [{ path: 'spawnEnabled', from: true, to: false }]);
+  assert.deepStrictEqual((await configStore.history()).map(v => [v.version, v.author, v.note]), [
+    [2, 'owner', 'pause'],
+    [1, 'env', 'initial config']
+  ]);
+
+  const back = await configStore.rollback(1, { author: 'owner' });
+  assert.strictEqual(back.version, 3);
+  assert.strictEqual(back.config.spawnEnabled, true);
+  assert.strictEqual((await store.config.get()).version, 3);
+  assert.deepStrictEqual(applied.at(-1), defaults);
+  await assert.rejects(configStore.rollback(9), { status: 404 });
+});
+
+test('the stored config wins on boot, unless it no longer validates', async () => {
+  const { store, configStore } = setup();
+  await configStore.load();
+  await configStore.commit({ cooldownMs: 5000 });
+
+  const rebooted = setup(store);
+  const loaded = await rebooted.configStore.load();
+  assert.strictEqual(loaded.version, 2);
+  assert.strictEqual(loaded.config.cooldownMs, 5000);
+
+  await store.config.set({ ...(await store.config.get()), spawnEnabled: 'yes' });
+  const fallback = await setup(store).configStore.load();
+  assert.strictEqual(fallback.version, 3);
+  assert.deepStrictEqual(fallback.config, defaults);
+  assert.strictEqual((await store.config.get()).spawnEnabled, true);
+});
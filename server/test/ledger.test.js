@@ -0,0 +1,83 @@
+// Point ledger and redemption state machine (ledger.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryDb } = require('../memoryDb');
+const { createStorage } = require('../storage');
+const { createLedger } = require('../ledger');
+
+function setup({ emit = async () => {} } = {}) {
+  const store = createStorage('firebase', { db: createMemoryDb() });
+  const emitted = [];
+  const ledger = createLedger({
+    store,
+    costs: { t1: 1000, t2: 5000 },
+    emit: async event => {
+      emitted.push(event);
+      return emit(event);
+    }
+  });
+  const balance = async username => ((await store.leaderboard.get(username)) || {}).score || 0;
+  return { store, ledger, emitted, balance };
+}
+
+test('a redeem checks the balance and debits it', async () => {
+  const { store, ledger, emitted, balance } = setup();
+  await ledger.credit('ann', '', 1500, { reason: 'landing' });
+
+  const ok = await ledger.requestRedemption({ username: 'ann', tier: 't1' });
+  assert.deepStrictEqual(ok, { id: ok.id, status: 'fulfilled', balance: 500 });
+  assert.strictEqual(emitted.length, 1);
+  assert.strictEqual(emitted[0].redemptionId, ok.id);
+
+  const short = await ledger.requestRedemption({ username: 'ann', tier: 't1' });
+  assert.deepStrictEqual(short, { id: short.id, status: 'rejected', balance: 500 });
+  assert.strictEqual(await balance('ann'), 500);
+  assert.strictEqual((await store.redemptions.get(short.id)).reason, 'insufficient balance');
+  assert.strictEqual(emitted.length, 1);
+
+  const history = await ledger.history('ann');
+  assert.deepStrictEqual(history.map(h => [h.delta, h.balance, h.reason]), [[-1000, 500, 'redeem'], [1500, 1500, 'landing']]);
+  await assert.rejects(ledger.requestRedemption({ username: 'ann', tier: 'constructor' }), { status: 400 });
+});
+
+test('two concurrent redeems against a balance that covers one', async () => {
+  const { ledger, emitted, balance } = setup();
+  await ledger.credit('bob', '', 1000, { reason: 'landing' });
+
+  const results = await Promise.all([
+    ledger.requestRedemption({ username: 'bob', tier: 't1' }),
+    ledger.requestRedemption({ username: 'bob', tier: 't1' })
+  ]);
+  assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(await balance('bob'), 0);
+  assert.strictEqual(emitted.length, 1);
+});
+
+test('a fulfilled redemption can be refunded once; a rejected one never', async () => {
+  const { store, ledger, balance } = setup();
+  await ledger.credit('cy', '', 1500, { reason: 'landing' });
+  const fulfilled = await ledger.requestRedemption({ username: 'cy', tier: 't1' });
+  const rejected = await ledger.requestRedemption({ username: 'cy', tier: 't2' });
+
+  assert.deepStrictEqual(await ledger.refund(fulfilled.id, 'admin refund'), { id: fulfilled.id, status: 'refunded' });
+  assert.strictEqual(await balance('cy'), 1500);
+  assert.strictEqual((await store.redemptions.get(fulfilled.id)).reason, 'admin refund');
+  await assert.rejects(ledger.refund(fulfilled.id), { status: 409 });
+  await assert.rejects(ledger.refund(rejected.id), { status: 409 });
+  assert.strictEqual(await balance('cy'), 1500);
+  await assert.rejects(ledger.refund('missing'), { status: 409 });
+});
+
+test('a redeem whose event cannot be pushed is refunded', async () => {
+  const { store, ledger, balance } = setup({ emit: async () => { throw new Error('database down'); } });
+  await ledger.credit('dee', '', 1000, { reason: 'landing' });
+
+  const result = await ledger.requestRedemption({ username: 'dee', tier: 't1' });
+  assert.deepStrictEqual(result, { id: result.id, status: 'refunded', balance: 1000 });
+  assert.strictEqual(await balance('dee'), 1000);
+  const stored = await store.redemptions.get(result.id);
+  assert.strictEqual(stored.status, 'refunded');
+  assert.strictEqual(stored.reason, 'event push failed');
+  const history = await ledger.history('dee');
+  assert.deepStrictEqual(history.map(h => h.reason), ['refund', 'redeem', 'landing']);
+});
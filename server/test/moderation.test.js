@@ -0,0 +1,63 @@
+// Bans, mutes and purging a viewer's data (moderation.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryDb } = require('../memoryDb');
+const { createStorage } = require('../storage');
+const { createModeration } = require('../moderation');
+const { createLedger } = require('../ledger');
+const { createViewers } = require('../viewers');
+
+function setup() {
+  const store = createStorage('firebase', { db: createMemoryDb() });
+  let now = 1000;
+  const timestamp = () => now;
+  const moderation = createModeration({ store, timestamp });
+  const ledger = createLedger({ store, costs: { t1: 100 }, emit: async () => {}, timestamp });
+  const viewers = createViewers({ store, ledger, seasons: { current: () => null }, cacheMs: 0, timestamp });
+  return { store, moderation, ledger, viewers, advance: ms => { now += ms; } };
+}
+
+async function drop(store, username, drop) {
+  const id = store.events.newId();
+  await store.events.set(id, { v: 1, type: 'drop', username, dropId: id, timestamp: 0 });
+  await store.drops.set(id, { username, balls: 1, createdAt: 0, ...drop });
+  return id;
+}
+
+test('bans and mutes match any casing and expire', async () => {
+  const { moderation, advance } = setup();
+  await moderation.restrict({ username: 'Troll', action: 'ban' });
+  await moderation.restrict({ username: 'loud', action: 'mute', minutes: 1 });
+  assert.strictEqual(moderation.check({ username: 'TROLL' }), 'banned');
+  assert.strictEqual(moderation.check({ username: 'Loud' }), 'muted');
+  advance(60000);
+  assert.strictEqual(moderation.check({ username: 'loud' }), null);
+  assert.deepStrictEqual(moderation.list().map(e => e.username), ['Troll']);
+  await assert.rejects(moderation.restrict({ username: 'x', action: 'kick' }), { status: 400 });
+});
+
+test('a purge leaves nothing for /viewers to find', async () => {
+  const { store, moderation, ledger, viewers } = setup();
+  await ledger.credit('Ann', '', 500, { reason: 'landing' });
+  await ledger.requestRedemption({ username: 'Ann', tier: 't1' });
+  await ledger.credit('bob', '', 100, { reason: 'landing' });
+  const landed = await drop(store, 'Ann', { claim: { displayId: 'd1' }, landed: { 0: { slot: 3, points: 500 } } });
+  const waiting = await drop(store, 'Ann', {});
+  const playing = await drop(store, 'Ann', { claim: { displayId: 'd1' } });
+  assert.strictEqual((await viewers.profile('ann')).redemptions.length, 1);
+
+  // The board is looked up by key and by the stored lower-cased name, never read whole.
+  const all = store.leaderboard.all;
+  store.leaderboard.all = () => assert.fail('purge read the whole leaderboard');
+  assert.deepStrictEqual(await moderation.purge('ANN'), { events: 2, redemptions: 1 });
+
+  assert.strictEqual(await store.leaderboard.get('Ann'), null);
+  assert.deepStrictEqual(await ledger.history('Ann'), []);
+  for (const id of [landed, waiting]) assert.strictEqual(await store.drops.get(id), null);
+  assert.ok(await store.drops.get(playing));
+  await store.drops.remove(playing);
+  store.leaderboard.all = all;
+  await assert.rejects(viewers.profile('Ann'), { status: 404 });
+  assert.strictEqual((await viewers.profile('bob')).score, 100);
+  await assert.rejects(moderation.purge(' '), { status: 400 });
+});
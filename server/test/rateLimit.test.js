@@ -0,0 +1,51 @@
+// Per-viewer token buckets and the global queue (rateLimit.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../rateLimit');
+
+const classes = { chat: { burst: 1, refillMs: 1000 }, gift: { burst: 3, refillMs: 500 } };
+
+test('each viewer has a bucket per class that refills over time', () => {
+  const limiter = createRateLimiter({ classes });
+  assert.strictEqual(limiter.take('chat', 'a', 0), true);
+  assert.strictEqual(limiter.take('chat', 'a', 999), false);
+  // Another class and another viewer have their own tokens.
+  assert.strictEqual(limiter.take('gift', 'a', 999), true);
+  assert.strictEqual(limiter.take('chat', 'b', 999), true);
+  assert.strictEqual(limiter.take('chat', 'a', 1000), true);
+
+  for (let i = 0; i < 3; i++) assert.strictEqual(limiter.take('gift', 'c', 0), true);
+  assert.strictEqual(limiter.take('gift', 'c', 0), false);
+  assert.strictEqual(limiter.take('gift', 'c', 500), true);
+  assert.throws(() => limiter.take('redeem', 'a'), { status: 500 });
+  const { allowed, limited } = limiter.status();
+  assert.deepStrictEqual([allowed, limited], [8, 2]);
+});
+
+test('config changes are checked as a whole before any applies', () => {
+  const limiter = createRateLimiter({ classes });
+  assert.throws(() => limiter.configure({ chat: { refillMs: 5000 }, gift: { burst: 0 } }), { status: 400, message: 'gift.burst must be an integer >= 1' });
+  assert.strictEqual(limiter.config().chat.refillMs, 1000);
+  assert.throws(() => limiter.validate({ raid: { burst: 1 } }), { status: 400 });
+  limiter.configure({ chat: { refillMs: 5000 } });
+  assert.deepStrictEqual(limiter.config().chat, { burst: 1, refillMs: 5000 });
+});
+
+test('the global cap wants a positive perSec and a queue size', () => {
+  for (const perSec of [0, -1, NaN, Infinity, '20']) {
+    assert.throws(() => createRateLimiter({ classes, perSec }), { status: 400, message: 'global.perSec must be a positive number' });
+  }
+  assert.throws(() => createRateLimiter({ classes, maxQueue: 1.5 }), { status: 400 });
+});
+
+test('work over the global cap waits in a bounded queue', async () => {
+  const limiter = createRateLimiter({ classes, perSec: 2, maxQueue: 1 });
+  const ran = [];
+  const jobs = ['a', 'b', 'c'].map(name => limiter.schedule(() => ran.push(name), name));
+  assert.strictEqual(limiter.schedule(() => ran.push('d')), false);
+  assert.deepStrictEqual(await Promise.all(jobs.slice(0, 2)), [{ ran: true, value: 1 }, { ran: true, value: 2 }]);
+  assert.strictEqual(limiter.purge('c'), 1);
+  assert.deepStrictEqual(await jobs[2], { ran: false });
+  assert.deepStrictEqual(ran, ['a', 'b']);
+  assert.strictEqual(limiter.status().rejected, 1);
+});
@@ -0,0 +1,78 @@
+// Retention picks what to remove without reading all of /events (retention.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryDb } = require('../memoryDb');
+const { createStorage } = require('../storage');
+const { createRetention } = require('../retention');
+
+const HOUR = 60 * 60 * 1000;
+
+async function seed(store, now, ages) {
+  const ids = [];
+  for (const age of ages) {
+    const id = store.events.newId();
+    await store.events.set(id, { v: 1, type: 'drop', username: 'v', dropId: id, timestamp: now - age });
+    await store.drops.set(id, { username: 'v', balls: 1, landed: { 0: { slot: 0, points: 100, at: now } } });
+    ids.push(id);
+  }
+  return ids;
+}
+
+function boundedReads(store) {
+  const query = store.events.query;
+  store.events.query = options => {
+    assert.ok(options && (options.first || options.last), `unbounded /events read ${JSON.stringify(options)}`);
+    return query(options);
+  };
+}
+
+test('removes expired events and the settled overflow, oldest first', async () => {
+  const now = Date.now();
+  const store = createStorage('firebase', { db: createMemoryDb() });
+  const ids = await seed(store, now, [5 * HOUR, 4 * HOUR, 3, 2, 1, 0]);
+  await store.drops.update(ids[2], { balls: 2 }); // still has a ball in play
+  boundedReads(store);
+
+  const retention = createRetention({ store, maxAgeMs: 2 * HOUR, maxEvents: 2, archive: false, timestamp: () => now });
+  const run = await retention.run();
+
+  assert.strictEqual(run.removed, 3);
+  const left = (await store.events.query({ first: 10 })).map(([id]) => id);
+  assert.deepStrictEqual(left, [ids[2], ids[4], ids[5]]);
+  assert.strictEqual(await store.drops.get(ids[0]), null);
+  assert.deepStrictEqual(await retention.size(), { events: 3, eventsCapped: false, archive: { days: 0, events: 0, bytes: 0, rawBytes: 0 } });
+});
+
+test('takes at most `batch` events a run', async () => {
+  const now = Date.now();
+  const store = createStorage('firebase', { db: createMemoryDb() });
+  await seed(store, now, [9, 8, 7, 6, 5, 4, 3, 2, 1, 0].map(n => n * HOUR + 3 * HOUR));
+  boundedReads(store);
+
+  const retention = createRetention({ store, maxAgeMs: HOUR, maxEvents: 1, archive: false, batch: 4, timestamp: () => now });
+  assert.strictEqual((await retention.run()).removed, 4);
+  assert.strictEqual((await retention.run()).removed, 4);
+  assert.strictEqual((await retention.run()).removed, 2);
+});
+
+test('each run archives a new part and keeps earlier ones as they were', async () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const store = createStorage('firebase', { db: createMemoryDb() });
+  const ids = await seed(store, now, [4 * HOUR, 3 * HOUR, 2 * HOUR, 1]);
+
+  const retention = createRetention({ store, maxAgeMs: HOUR, archive: true, batch: 2, timestamp: () => now });
+  await retention.run();
+  const first = await store.eventArchive('2026-10-19').get('000000');
+  await retention.run();
+
+  assert.deepStrictEqual(await store.eventArchive('2026-10-19').get('000000'), first);
+  assert.strictEqual((await store.eventArchive('2026-10-19').get('000001')).count, 1);
+  const rows = await retention.readDay('2026-10-19');
+  assert.deepStrictEqual(rows.map(([id]) => id), ids.slice(0, 3));
+  assert.deepStrictEqual(rows[0][2], { balls: 1, landed: [0], points: 100, claimedBy: null });
+
+  const summary = await store.eventArchiveDays.get('2026-10-19');
+  assert.deepStrictEqual([summary.parts, summary.count, summary.first, summary.last], [2, 3, now - 4 * HOUR, now - 2 * HOUR]);
+  const { archive } = await retention.size();
+  assert.deepStrictEqual([archive.days, archive.events, archive.bytes], [1, 3, summary.bytes]);
+});
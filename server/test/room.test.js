@@ -0,0 +1,56 @@
+// Event handling in a room (room.js), with the storage in memory.
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryDb } = require('../memoryDb');
+const { createStorage } = require('../storage');
+const { createModeration } = require('../moderation');
+const { createRoom } = require('../room');
+
+const noop = { inc() {}, observe() {} };
+const metrics = { eventWrites: noop, webhookDeliveries: noop, inboundEvents: noop, pushLatency: noop };
+
+function room(store, overrides = {}) {
+  const settings = {
+    spawnCooldownMs: 1000,
+    spawnEnabled: true,
+    streakMode: 'repeatEnd',
+    rewardCosts: { t1: 1000 },
+    claimLeaseMs: 30000,
+    displayStaleMs: 15000,
+    chatBurst: 1,
+    giftBurst: 10,
+    giftRefillMs: 500,
+    redeemBurst: 2,
+    redeemRefillMs: 5000,
+    eventsPerSec: 20,
+    eventQueueMax: 100,
+    milestones: [],
+    webhookRetry: { attempts: 1, baseMs: 10, maxMs: 10 },
+    retention: {},
+    ...overrides
+  };
+  return createRoom({ id: 'default', store, settings, moderation: createModeration({ store }), metrics });
+}
+
+const follow = at => ({ type: 'follow', source: 'manual', username: 'fay', userId: 'f1', at });
+
+test('a follower whose welcome drop fails can be welcomed again', async () => {
+  const store = createStorage('firebase', { db: createMemoryDb() });
+
+  const full = room(store, { eventQueueMax: 0 });
+  assert.strictEqual(await full.handleSourceEvent(follow(0)), 'queue-full');
+  assert.strictEqual(await store.welcomed.get('f1'), null);
+
+  const r = room(store);
+  const set = store.events.set;
+  store.events.set = async () => { throw new Error('database down'); };
+  assert.strictEqual(await r.handleSourceEvent(follow(10000)), 'error');
+  store.events.set = set;
+  assert.strictEqual(await store.welcomed.get('f1'), null);
+
+  assert.strictEqual(await r.handleSourceEvent(follow(20000)), 'drop');
+  assert.strictEqual((await store.welcomed.get('f1')).username, 'fay');
+  assert.strictEqual(await r.handleSourceEvent(follow(30000)), 'repeat');
+  const events = (await store.events.query({ first: 10 })).map(([, e]) => [e.trigger, e.username]);
+  assert.deepStrictEqual(events, [['follow', 'fay']]);
+});
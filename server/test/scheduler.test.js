@@ -0,0 +1,74 @@
+// Cron matching in a rule's time zone and the merged effect of running rules (scheduler.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryDb } = require('../memoryDb');
+const { createStorage } = require('../storage');
+const { createScheduler, parseCron, cronMatches, validateRule } = require('../scheduler');
+
+const at = iso => Date.parse(iso);
+const MINUTE = 60 * 1000;
+
+test('cron expressions are checked field by field', () => {
+  assert.throws(() => parseCron('0 * * *'), { status: 400, message: /5 fields/ });
+  assert.throws(() => parseCron('60 * * * *'), { status: 400, message: 'cron minute must be within 0-59' });
+  assert.throws(() => parseCron('0 5-2 * * *'), { status: 400 });
+  assert.throws(() => parseCron('*/0 * * * *'), { status: 400, message: 'cron minute step must be at least 1' });
+  const cron = parseCron('*/15 9-17/4 * * 0,7');
+  assert.deepStrictEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...cron.hour], [9, 13, 17]);
+  assert.deepStrictEqual([...cron.weekday], [0]);
+});
+
+test('a cron matches wall-clock time in its zone, across a DST change', () => {
+  const weekdayMornings = parseCron('0 9 * * 1-5');
+  // Monday 2026-10-19 is summer time in Berlin (UTC+2); Monday the 26th is winter time (UTC+1).
+  assert.strictEqual(cronMatches(weekdayMornings, at('2026-10-19T07:00:00Z'), 'Europe/Berlin'), true);
+  assert.strictEqual(cronMatches(weekdayMornings, at('2026-10-26T07:00:00Z'), 'Europe/Berlin'), false);
+  assert.strictEqual(cronMatches(weekdayMornings, at('2026-10-26T08:00:00Z'), 'Europe/Berlin'), true);
+  assert.strictEqual(cronMatches(weekdayMornings, at('2026-10-19T07:00:00Z'), 'UTC'), false);
+  assert.strictEqual(cronMatches(weekdayMornings, at('2026-10-24T07:00:00Z'), 'Europe/Berlin'), false);
+});
+
+test('a restricted day and weekday match if either does', () => {
+  const cron = parseCron('0 0 13 * 5');
+  assert.strictEqual(cronMatches(cron, at('2026-10-13T00:00:00Z'), 'UTC'), true); // a Tuesday
+  assert.strictEqual(cronMatches(cron, at('2026-10-23T00:00:00Z'), 'UTC'), true); // a Friday
+  assert.strictEqual(cronMatches(cron, at('2026-10-22T00:00:00Z'), 'UTC'), false);
+  assert.strictEqual(cronMatches(parseCron('0 0 13 * *'), at('2026-10-23T00:00:00Z'), 'UTC'), false);
+});
+
+test('rules need one of cron or at, a known zone and a sane duration', () => {
+  const effect = { pointsMultiplier: 2 };
+  assert.throws(() => validateRule({ name: 'x', cron: '0 * * * *', at: 1, durationMs: 60000, effect }, { timeZone: 'UTC' }), { status: 400 });
+  assert.throws(() => validateRule({ name: 'x', cron: '0 * * * *', timeZone: 'Mars/Olympus', durationMs: 60000, effect }, { timeZone: 'UTC' }), { status: 400 });
+  assert.throws(() => validateRule({ name: 'x', at: 'soon', durationMs: 60000, effect }, { timeZone: 'UTC' }), { status: 400 });
+  assert.throws(() => validateRule({ name: 'x', at: 1, durationMs: 999, effect }, { timeZone: 'UTC' }), { status: 400 });
+  assert.throws(() => validateRule({ name: 'x', at: 1, durationMs: 60000, effect: {} }, { timeZone: 'UTC' }), { status: 400 });
+  const rule = validateRule({ name: ' Happy hour ', cron: '0  *  * * *', durationMs: 60000, effect }, { timeZone: 'UTC' });
+  assert.deepStrictEqual(rule, { name: 'Happy hour', enabled: true, cron: '0 * * * *', timeZone: 'UTC', durationMs: 60000, effect });
+});
+
+test('overlapping rules multiply multipliers and the latest start wins the rest', async () => {
+  const store = createStorage('firebase', { db: createMemoryDb() });
+  let now = at('2026-10-19T20:10:00Z');
+  const effects = [];
+  const scheduler = createScheduler({ store, timeZone: 'UTC', onChange: e => effects.push(e), timestamp: () => now });
+  const hourly = await scheduler.create({ name: 'Happy hour', cron: '0 * * * *', durationMs: 15 * MINUTE, effect: { pointsMultiplier: 2, cooldownMs: 5000 } });
+  const sponsor = await scheduler.create({ name: 'Sponsor', at: '2026-10-19T20:05:00Z', durationMs: 10 * MINUTE, effect: { pointsMultiplier: 1.5, spawnEnabled: false, cooldownMs: 1000 } });
+
+  const state = scheduler.state();
+  assert.deepStrictEqual(state.active.map(a => [a.id, a.startedAt, a.endsAt]), [
+    [hourly.id, at('2026-10-19T20:00:00Z'), at('2026-10-19T20:15:00Z')],
+    [sponsor.id, at('2026-10-19T20:05:00Z'), at('2026-10-19T20:15:00Z')]
+  ]);
+  assert.deepStrictEqual(scheduler.effect(), { pointsMultiplier: 3, cooldownMs: 1000, spawnEnabled: false });
+  assert.deepStrictEqual(state.next, { id: hourly.id, name: 'Happy hour', effect: hourly.effect, at: at('2026-10-19T21:00:00Z') });
+  assert.deepStrictEqual((await store.schedule.get()).effect, scheduler.effect());
+
+  now = at('2026-10-19T20:20:00Z');
+  await scheduler.update(hourly.id, { enabled: false });
+  assert.deepStrictEqual(scheduler.effect(), {});
+  assert.strictEqual(scheduler.state().next, null);
+  assert.deepStrictEqual(effects.at(-1), {});
+  await assert.rejects(scheduler.remove('nope'), { status: 404 });
+});
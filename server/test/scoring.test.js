@@ -0,0 +1,24 @@
+// Landings scored against what the drop recorded when it was issued (scoring.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryDb } = require('../memoryDb');
+const { createStorage } = require('../storage');
+const { createLedger } = require('../ledger');
+const { createScoring } = require('../scoring');
+
+test('a ball scores at the scheduled multiplier it was dropped under', async () => {
+  const store = createStorage('firebase', { db: createMemoryDb() });
+  const ledger = createLedger({ store, costs: {}, emit: async () => {} });
+  let scheduled = 2;
+  const scoring = createScoring({ store, ledger, multiplier: () => scheduled });
+
+  const dropId = await scoring.issueDrop({ username: 'dana', balls: 2, multiplier: 1.5 });
+  await store.drops.update(dropId, { claim: { displayId: 'd1', xs: [0, 0], at: 0, leaseUntil: Infinity } });
+  const first = await scoring.recordLanding({ dropId, ball: 0, slot: 6, displayId: 'd1' });
+  scheduled = 1;
+  const second = await scoring.recordLanding({ dropId, ball: 1, slot: 6, displayId: 'd1' });
+
+  assert.strictEqual(first.points, 4800);
+  assert.strictEqual(second.points, 4800);
+  assert.strictEqual(second.score, 9600);
+});
@@ -0,0 +1,74 @@
+// Season close against concurrent balance changes (seasons.js, ledger.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryDb } = require('../memoryDb');
+const { createStorage } = require('../storage');
+const { createLedger } = require('../ledger');
+const { createScoring } = require('../scoring');
+const { createSeasons } = require('../seasons');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function setup() {
+  const store = createStorage('firebase', { db: createMemoryDb() });
+  const ledger = createLedger({ store, costs: { t1: 1000 }, emit: async () => {} });
+  const scoring = createScoring({ store, ledger });
+  const seasons = createSeasons({ store, exclusive: ledger.exclusive });
+  return { store, ledger, scoring, seasons };
+}
+
+async function claimedDrop(store, scoring, username) {
+  const dropId = await scoring.issueDrop({ username });
+  await store.drops.update(dropId, { claim: { displayId: 'd1', xs: [0], at: 0, leaseUntil: Infinity } });
+  return dropId;
+}
+
+test('a landing that arrives while a season closes counts in the next season', async () => {
+  const { store, ledger, scoring, seasons } = setup();
+  await ledger.credit('alice', '', 500, { reason: 'landing' });
+  const dropId = await claimedDrop(store, scoring, 'bob');
+
+  // The landing arrives after the close has read the board, before it clears it.
+  let landing = null;
+  const all = store.leaderboard.all;
+  store.leaderboard.all = async () => {
+    const board = await all();
+    landing = scoring.recordLanding({ dropId, ball: 0, slot: 6, displayId: 'd1' });
+    await sleep(20);
+    return board;
+  };
+
+  const { closed } = await seasons.close({ by: 'test' });
+  const landed = await landing;
+  store.leaderboard.all = all;
+
+  assert.deepStrictEqual(closed.top.map(e => e.username), ['alice']);
+  assert.strictEqual(landed.score, 1600);
+  const board = await store.leaderboard.all();
+  assert.deepStrictEqual(Object.values(board).map(e => [e.username, e.score]), [['bob', 1600]]);
+  assert.strictEqual(seasons.current().number, 2);
+});
+
+test('a landing already under way when a close starts is in the closed standings', async () => {
+  const { store, scoring, seasons } = setup();
+  const dropId = await claimedDrop(store, scoring, 'carol');
+
+  // The close starts while the landing's balance change is being written.
+  let started;
+  const writing = new Promise(resolve => { started = resolve; });
+  const transact = store.leaderboard.transact;
+  store.leaderboard.transact = async (...args) => {
+    started();
+    await sleep(20);
+    return transact(...args);
+  };
+
+  const landing = scoring.recordLanding({ dropId, ball: 0, slot: 6, displayId: 'd1' });
+  await writing;
+  const { closed } = await seasons.close({ by: 'test' });
+  await landing;
+  store.leaderboard.transact = transact;
+
+  assert.deepStrictEqual(closed.top.map(e => [e.username, e.score]), [['carol', 1600]]);
+  assert.deepStrictEqual(await store.leaderboard.all(), {});
+});
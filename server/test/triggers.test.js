@@ -0,0 +1,53 @@
+// Audience trigger rules: validation, like banking and cooldowns (triggers.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTriggers, validateTriggers, DEFAULT_TRIGGERS } = require('../triggers');
+
+const like = likeCount => ({ type: 'like', username: 'v', likeCount });
+
+test('missing fields take the defaults and bad ones are all reported', () => {
+  const rules = validateTriggers({ like: { everyLikes: 1000 } });
+  assert.deepStrictEqual(rules.like, { ...DEFAULT_TRIGGERS.like, everyLikes: 1000 });
+  assert.deepStrictEqual(rules.follow, DEFAULT_TRIGGERS.follow);
+  assert.throws(
+    () => validateTriggers({ like: { maxBanked: 0, everyLikes: 1.5, globalCooldownMs: 1 }, raid: {} }),
+    e => e.status === 400
+      && /like\.maxBanked must be an integer from 1 to 10/.test(e.message)
+      && /like\.everyLikes must be an integer >= 1/.test(e.message)
+      && /like\.globalCooldownMs is not a like setting/.test(e.message)
+      && /raid is not one of/.test(e.message)
+  );
+});
+
+test('likes bank at most maxBanked drops and pay out one per cooldown', () => {
+  const triggers = createTriggers({ like: { everyLikes: 10, cooldownMs: 1000, maxBanked: 2 } });
+  assert.strictEqual(triggers.evaluate(like(5), 0).outcome, 'counting');
+  // A burst worth ten drops banks only two.
+  assert.strictEqual(triggers.evaluate(like(100), 0).outcome, 'drop');
+  assert.strictEqual(triggers.evaluate(like(0), 500).outcome, 'cooldown');
+  assert.strictEqual(triggers.evaluate(like(0), 1000).outcome, 'drop');
+  assert.strictEqual(triggers.evaluate(like(0), 2000).outcome, 'counting');
+  const { likes, fired } = triggers.status();
+  assert.strictEqual(likes, 0);
+  assert.strictEqual(fired.like, 2);
+});
+
+test('viewer triggers keep per-viewer and room cooldowns', () => {
+  const triggers = createTriggers({ share: { cooldownMs: 1000, globalCooldownMs: 100 } });
+  const share = username => ({ type: 'share', username, userId: username });
+  assert.deepStrictEqual(triggers.evaluate(share('a'), 0), { outcome: 'drop', balls: 1, multiplier: 1 });
+  assert.strictEqual(triggers.evaluate(share('b'), 50).outcome, 'cooldown');
+  assert.strictEqual(triggers.evaluate(share('b'), 100).outcome, 'drop');
+  assert.strictEqual(triggers.evaluate(share('a'), 500).outcome, 'cooldown');
+  assert.strictEqual(triggers.evaluate(share('a'), 1000).outcome, 'drop');
+  assert.strictEqual(triggers.evaluate({ type: 'member', username: 'a' }, 0).outcome, 'disabled');
+  assert.strictEqual(triggers.evaluate({ type: 'chat', username: 'a' }, 0).outcome, 'ignored');
+});
+
+test('subscribers get the subscribe multiplier on every drop', () => {
+  const triggers = createTriggers({ subscribe: { subscriberMultiplier: 1.5 } });
+  assert.strictEqual(triggers.viewerMultiplier({ isSubscriber: true }), 1.5);
+  assert.strictEqual(triggers.viewerMultiplier({ isSubscriber: false }), 1);
+  triggers.replace({ subscribe: { enabled: false } });
+  assert.strictEqual(triggers.viewerMultiplier({ isSubscriber: true }), 1);
+});
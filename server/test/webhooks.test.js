@@ -0,0 +1,134 @@
+// Outbound webhooks against a local HTTP receiver (webhooks.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createMemoryDb } = require('../memoryDb');
+const { createStorage } = require('../storage');
+const { createWebhooks, verifySignature } = require('../webhooks');
+
+const SECRET = 'receiver-secret-0123456789';
+
+// Answers each request with the next status in `statuses` (200 once they run
+// out) and keeps what it received.
+async function receiver(statuses = []) {
+  const received = [];
+  const waiting = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statuses.length ? statuses.shift() : 200).end();
+      waiting.filter(w => received.length >= w.n).forEach(w => w.resolve());
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    requests: n => (received.length >= n ? Promise.resolve() : new Promise(resolve => waiting.push({ n, resolve }))),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+async function until(check) {
+  for (let i = 0; i < 200 && !(await check()); i++) await new Promise(resolve => setTimeout(resolve, 10));
+  return check();
+}
+
+function setup() {
+  const store = createStorage('firebase', { db: createMemoryDb() });
+  const counted = [];
+  const webhooks = createWebhooks({
+    store,
+    room: 'main',
+    count: labels => counted.push(labels.result),
+    retry: { attempts: 3, baseMs: 10, maxMs: 20 }
+  });
+  return { store, webhooks, counted };
+}
+
+test('signs each delivery with an HMAC of the timestamp and body', async t => {
+  const rx = await receiver();
+  t.after(rx.close);
+  const { webhooks } = setup();
+  const hook = await webhooks.create({ name: 'Bot', url: rx.url, events: ['jackpot'], secret: SECRET });
+
+  webhooks.notify('jackpot', { username: 'ann', points: 1600 });
+  webhooks.notify('milestone', { username: 'ann', milestone: 10000 });
+  await rx.requests(1);
+  const [{ headers, body }] = rx.received;
+
+  assert.strictEqual(hook.secret, SECRET);
+  assert.strictEqual(headers['x-plinkoo-event'], 'jackpot');
+  assert.ok(verifySignature(SECRET, { signature: headers['x-plinkoo-signature'], timestamp: headers['x-plinkoo-timestamp'] }, body));
+  assert.ok(!verifySignature('another-secret-0123456789', { signature: headers['x-plinkoo-signature'], timestamp: headers['x-plinkoo-timestamp'] }, body));
+  const parsed = JSON.parse(body);
+  assert.deepStrictEqual({ ...parsed, at: 0 }, { type: 'jackpot', room: 'main', at: 0, data: { username: 'ann', points: 1600 } });
+  assert.strictEqual(rx.received.length, 1);
+});
+
+test('renders the template with typed and interpolated placeholders', async t => {
+  const rx = await receiver();
+  t.after(rx.close);
+  const { webhooks } = setup();
+  await webhooks.create({
+    name: 'Discord',
+    url: rx.url,
+    events: ['redemption'],
+    secret: SECRET,
+    template: { content: '{{username}} redeemed {{tier}} in {{room}}', cost: '{{cost}}', who: { name: '{{username}}' }, missing: '{{nope}}' }
+  });
+
+  webhooks.notify('redemption', { username: 'bo', tier: 't2', cost: 5000 });
+  await rx.requests(1);
+  assert.deepStrictEqual(JSON.parse(rx.received[0].body), {
+    content: 'bo redeemed t2 in main', cost: 5000, who: { name: 'bo' }, missing: null
+  });
+});
+
+test('retries after a 500 with the same delivery id', async t => {
+  const rx = await receiver([500]);
+  t.after(rx.close);
+  const { webhooks, counted } = setup();
+  const hook = await webhooks.create({ name: 'Flaky', url: rx.url, secret: SECRET });
+
+  const first = await webhooks.test(hook.id);
+  assert.deepStrictEqual([first.ok, first.status, first.attempt, first.retryable], [false, 500, 1, true]);
+  await rx.requests(2);
+  await until(() => counted.includes('delivered'));
+
+  const [a, b] = rx.received;
+  assert.strictEqual(a.headers['x-plinkoo-delivery'], b.headers['x-plinkoo-delivery']);
+  assert.strictEqual(a.body, b.body);
+  assert.deepStrictEqual(counted, ['retried', 'delivered']);
+  assert.deepStrictEqual(await webhooks.deadLetters(), []);
+});
+
+test('dead-letters a delivery after its last attempt, and a 4xx at once', async t => {
+  const rx = await receiver([503, 503, 503, 404]);
+  t.after(rx.close);
+  const { webhooks, counted } = setup();
+  t.after(webhooks.stop);
+  const hook = await webhooks.create({ name: 'Down', url: rx.url, secret: SECRET });
+
+  await webhooks.test(hook.id);
+  assert.ok(await until(async () => (await webhooks.deadLetters()).length === 1));
+  const [letter] = await webhooks.deadLetters();
+  assert.deepStrictEqual(
+    { webhookId: letter.webhookId, type: letter.type, attempts: letter.attempts, lastStatus: letter.lastStatus, lastError: letter.lastError },
+    { webhookId: hook.id, type: 'test', attempts: 3, lastStatus: 503, lastError: 'HTTP 503' }
+  );
+  assert.strictEqual(letter.body, rx.received[0].body);
+  assert.deepStrictEqual(counted, ['retried', 'retried', 'dead']);
+
+  await webhooks.test(hook.id);
+  assert.ok(await until(async () => (await webhooks.deadLetters()).length === 2));
+  assert.strictEqual(rx.received.length, 4);
+  assert.strictEqual((await webhooks.deadLetters())[0].attempts, 1);
+
+  // A retried dead letter leaves the list and is delivered.
+  await webhooks.retryDead(letter.id);
+  assert.strictEqual(rx.received.length, 5);
+  assert.deepStrictEqual((await webhooks.deadLetters()).map(d => d.lastStatus), [404]);
+});
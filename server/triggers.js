@@ -0,0 +1,153 @@
+// Audience triggers: likes, follows, shares, joins (member) and subscriptions
+// turned into drops, by rules in the relay config:
+//
+//   { like:      { enabled, balls, multiplier, everyLikes, cooldownMs, maxBanked },
+//     follow:    { enabled, balls, multiplier, globalCooldownMs },
+//     share:     { enabled, balls, multiplier, cooldownMs, globalCooldownMs },
+//     member:    { ...as share },
+//     subscribe: { ...as share, subscriberMultiplier } }
+//
+// like counts the room's likes: every `everyLikes` of them drops `balls`
+// community balls for the viewer whose like crossed the line, at most one drop
+// per `cooldownMs`. Likes keep counting meanwhile, up to `maxBanked` drops'
+// worth; likes past that are dropped, so a burst can't keep paying out long
+// after it ends. What is banked pays out one drop per cooldown. The other
+// triggers fire per viewer, at most once per `cooldownMs` for each viewer and
+// once per `globalCooldownMs` in the room. A follow pays out once per viewer ever
+// (room.js remembers followers in /welcomed). `multiplier` scales the points
+// the trigger's balls score; `subscriberMultiplier` scales every drop by a
+// viewer who is subscribed.
+const { TRIGGERS: TRIGGER_TYPES } = require('../js/eventSchema');
+
+const MAX_BALLS = 10;
+const MAX_MULTIPLIER = 10;
+const MAX_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+const MAX_BANKED = 10;
+
+const DEFAULT_TRIGGERS = {
+  like: { enabled: true, balls: 1, multiplier: 1, everyLikes: 500, cooldownMs: 30000, maxBanked: 2 },
+  follow: { enabled: true, balls: 1, multiplier: 1, globalCooldownMs: 2000 },
+  share: { enabled: true, balls: 1, multiplier: 1, cooldownMs: 600000, globalCooldownMs: 2000 },
+  member: { enabled: false, balls: 1, multiplier: 1, cooldownMs: 3600000, globalCooldownMs: 5000 },
+  subscribe: { enabled: true, balls: 3, multiplier: 2, cooldownMs: 0, globalCooldownMs: 0, subscriberMultiplier: 1 }
+};
+
+class TriggerError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Fields each trigger takes besides enabled, balls and multiplier.
+const FIELDS = {
+  like: ['everyLikes', 'cooldownMs', 'maxBanked'],
+  follow: ['globalCooldownMs'],
+  share: ['cooldownMs', 'globalCooldownMs'],
+  member: ['cooldownMs', 'globalCooldownMs'],
+  subscribe: ['cooldownMs', 'globalCooldownMs', 'subscriberMultiplier']
+};
+
+const CHECKS = {
+  balls: [v => Number.isInteger(v) && v >= 1 && v <= MAX_BALLS, `an integer from 1 to ${MAX_BALLS}`],
+  multiplier: [v => typeof v === 'number' && v >= 1 && v <= MAX_MULTIPLIER, `a number from 1 to ${MAX_MULTIPLIER}`],
+  subscriberMultiplier: [v => typeof v === 'number' && v >= 1 && v <= MAX_MULTIPLIER, `a number from 1 to ${MAX_MULTIPLIER}`],
+  everyLikes: [v => Number.isInteger(v) && v >= 1, 'an integer >= 1'],
+  maxBanked: [v => Number.isInteger(v) && v >= 1 && v <= MAX_BANKED, `an integer from 1 to ${MAX_BANKED}`],
+  cooldownMs: [v => Number.isInteger(v) && v >= 0 && v <= MAX_COOLDOWN_MS, `an integer from 0 to ${MAX_COOLDOWN_MS}`],
+  globalCooldownMs: [v => Number.isInteger(v) && v >= 0 && v <= MAX_COOLDOWN_MS, `an integer from 0 to ${MAX_COOLDOWN_MS}`]
+};
+
+// Missing triggers and fields take the defaults, so a config can set just
+// { like: { everyLikes: 1000 } }.
+function validateTriggers(triggers) {
+  if (triggers === undefined) triggers = DEFAULT_TRIGGERS;
+  if (!triggers || typeof triggers !== 'object' || Array.isArray(triggers)) throw new TriggerError(400, 'triggers must be an object');
+  const errors = [];
+  for (const type of Object.keys(triggers)) {
+    if (!TRIGGER_TYPES.includes(type)) errors.push(`triggers.${type} is not one of ${TRIGGER_TYPES.join(', ')}`);
+  }
+  const out = {};
+  for (const type of TRIGGER_TYPES) {
+    const given = triggers[type] === undefined ? {} : triggers[type];
+    if (!given || typeof given !== 'object' || Array.isArray(given)) {
+      errors.push(`triggers.${type} must be an object`);
+      continue;
+    }
+    const rule = { ...DEFAULT_TRIGGERS[type], ...given };
+    if (typeof rule.enabled !== 'boolean') errors.push(`triggers.${type}.enabled must be a boolean`);
+    const fields = ['balls', 'multiplier', ...FIELDS[type]];
+    for (const field of Object.keys(given)) {
+      if (field !== 'enabled' && !fields.includes(field)) errors.push(`triggers.${type}.${field} is not a ${type} setting`);
+    }
+    for (const field of fields) {
+      const [test, expect] = CHECKS[field];
+      if (!test(rule[field])) errors.push(`triggers.${type}.${field} must be ${expect}`);
+    }
+    out[type] = Object.fromEntries(['enabled', ...fields].map(f => [f, rule[f]]));
+  }
+  if (errors.length) throw new TriggerError(400, errors.join('; '));
+  return out;
+}
+
+function createTriggers(initial = DEFAULT_TRIGGERS) {
+  let rules = validateTriggers(initial);
+  const likes = { count: 0, lastDropAt: null };
+  const lastByViewer = new Map(); // `${type}:${userId}` -> time it last fired
+  const lastInRoom = {}; // type -> time it last fired
+  const fired = Object.fromEntries(TRIGGER_TYPES.map(t => [t, 0]));
+
+  const since = (at, now) => (at == null ? Infinity : now - at);
+
+  function sweep(now) {
+    for (const [key, at] of lastByViewer) {
+      const rule = rules[key.slice(0, key.indexOf(':'))];
+      if (!rule || since(at, now) >= rule.cooldownMs) lastByViewer.delete(key);
+    }
+  }
+
+  function evaluateLikes(evt, rule, now) {
+    likes.count = Math.min(likes.count + Math.max(0, evt.likeCount || 0), rule.everyLikes * rule.maxBanked);
+    if (likes.count < rule.everyLikes) return 'counting';
+    if (since(likes.lastDropAt, now) < rule.cooldownMs) return 'cooldown';
+    likes.count -= rule.everyLikes;
+    likes.lastDropAt = now;
+    return 'drop';
+  }
+
+  function evaluateViewer(evt, rule, now) {
+    const key = `${evt.type}:${evt.userId || evt.username}`;
+    if (rule.cooldownMs && since(lastByViewer.get(key), now) < rule.cooldownMs) return 'cooldown';
+    if (since(lastInRoom[evt.type], now) < rule.globalCooldownMs) return 'cooldown';
+    if (rule.cooldownMs) lastByViewer.set(key, now);
+    lastInRoom[evt.type] = now;
+    if (lastByViewer.size > 1000) sweep(now);
+    return 'drop';
+  }
+
+  // -> { outcome, balls, multiplier }: outcome is 'drop' when balls should
+  // drop, else why not (disabled, cooldown, counting, ignored).
+  function evaluate(evt, now = Date.now()) {
+    const rule = rules[evt.type];
+    if (!rule) return { outcome: 'ignored' };
+    if (!rule.enabled) return { outcome: 'disabled' };
+    const outcome = evt.type === 'like' ? evaluateLikes(evt, rule, now) : evaluateViewer(evt, rule, now);
+    if (outcome !== 'drop') return { outcome };
+    fired[evt.type]++;
+    return { outcome, balls: rule.balls, multiplier: rule.multiplier };
+  }
+
+  return {
+    evaluate,
+    // Points multiplier for a chat or gift drop by this viewer.
+    viewerMultiplier: evt => (evt.isSubscriber && rules.subscribe.enabled ? rules.subscribe.subscriberMultiplier : 1),
+    get: () => JSON.parse(JSON.stringify(rules)),
+    replace(next) {
+      rules = validateTriggers(next);
+      return rules;
+    },
+    status: () => ({ likes: likes.count, everyLikes: rules.like.everyLikes, fired: { ...fired } })
+  };
+}
+
+module.exports = { createTriggers, validateTriggers, DEFAULT_TRIGGERS, TRIGGER_TYPES, TriggerError };
@@ -0,0 +1,150 @@
+// Public read API for viewers (one per room): what anyone can look up about a
+// viewer without an admin session.
+//   profile(username) -> { username, avatarUrl, score, rank, players,
+//                          percentile, season, drops, history, redemptions }
+//   slice({ around, rank, offset, limit }) -> { players, season, offset,
+//                          limit, prev, next, entries: [{ rank, username, avatarUrl, score }] }
+// score and rank are the live season's (seasons.js) and start over with each
+// season; the ledger history and redemptions go back further. drops are the
+// viewer's recent drops still in /drops (retention.js removes old ones), each
+// with where its balls landed. Rankings come from the whole board and are
+// cached for `cacheMs`, so a burst of lookups costs one read.
+const { rankStandings } = require('./seasons');
+
+const RECENT = 20;
+const SLICE_MAX = 100;
+const NAME_MAX = 64;
+
+class ViewerError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function checkInteger(value, field, min, max = Infinity) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ViewerError(400, `${field} must be an integer ${max === Infinity ? `>= ${min}` : `from ${min} to ${max}`}`);
+  }
+  return value;
+}
+
+function checkName(username) {
+  if (typeof username !== 'string' || !username.trim() || username.length > NAME_MAX) {
+    throw new ViewerError(400, `username must be 1-${NAME_MAX} characters`);
+  }
+  return username.trim().replace(/^@/, '');
+}
+
+function createViewers({ store, ledger, seasons, cacheMs = 2000, timestamp = () => Date.now() }) {
+  let cached = null;
+  let loading = null;
+
+  async function load() {
+    const entries = rankStandings(await store.leaderboard.all());
+    const byName = new Map();
+    // Exact names win over case-insensitive matches.
+    entries.forEach((e, i) => {
+      const lower = e.username.toLowerCase();
+      if (!byName.has(lower)) byName.set(lower, i);
+      byName.set(e.username, i);
+    });
+    cached = { at: timestamp(), entries, byName };
+    return cached;
+  }
+
+  function ranking() {
+    if (cached && timestamp() - cached.at < cacheMs) return Promise.resolve(cached);
+    if (!loading) loading = load().finally(() => { loading = null; });
+    return loading;
+  }
+
+  const indexOf = ({ byName }, name) => {
+    const i = byName.has(name) ? byName.get(name) : byName.get(name.toLowerCase());
+    return i === undefined ? -1 : i;
+  };
+
+  // Share of the other players ranked below this one, 0-100.
+  const percentile = (rank, players) => (players <= 1 ? 100 : Math.round((1000 * (players - rank)) / (players - 1)) / 10);
+
+  async function recentDrops(username) {
+    const rows = await store.drops.query({ orderBy: 'username', equalTo: username, last: RECENT });
+    return rows
+      .map(([id, d]) => ({
+        id,
+        balls: d.balls || 1,
+        createdAt: d.createdAt || null,
+        landed: Object.entries(d.landed || {})
+          .map(([ball, l]) => ({ ball: Number(ball), slot: l.slot, points: l.points, at: l.at }))
+          .sort((a, b) => a.ball - b.ball)
+      }))
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  }
+
+  async function redemptions(username) {
+    const rows = await store.redemptions.query({ orderBy: 'username', equalTo: username, last: RECENT });
+    return rows
+      .map(([id, r]) => ({ id, tier: r.tier, cost: r.cost, status: r.status, createdAt: r.createdAt, updatedAt: r.updatedAt }))
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  }
+
+  async function profile(name) {
+    const wanted = checkName(name);
+    const board = await ranking();
+    const i = indexOf(board, wanted);
+    const entry = i < 0 ? null : board.entries[i];
+    const username = entry ? entry.username : wanted;
+    const [drops, history, redeemed] = await Promise.all([
+      recentDrops(username),
+      ledger.history(username, RECENT),
+      redemptions(username)
+    ]);
+    if (!entry && !drops.length && !history.length && !redeemed.length) throw new ViewerError(404, 'no such viewer');
+    const players = board.entries.length;
+    return {
+      username,
+      avatarUrl: entry ? entry.avatarUrl : '',
+      score: entry ? entry.score : 0,
+      rank: entry ? entry.rank : null,
+      players,
+      percentile: entry ? percentile(entry.rank, players) : null,
+      season: seasons.current(),
+      drops,
+      history: history.map(({ delta, balance, reason, at }) => ({ delta, balance, reason, at })),
+      redemptions: redeemed
+    };
+  }
+
+  // One page of the board: centred on a viewer (`around`) or a rank, or
+  // starting at `offset`. prev / next are the offsets of the neighbouring pages.
+  async function slice({ around, rank, offset = 0, limit = 25 } = {}) {
+    const n = checkInteger(limit, 'limit', 1, SLICE_MAX);
+    const board = await ranking();
+    const players = board.entries.length;
+    let start;
+    if (around !== undefined) {
+      const i = indexOf(board, checkName(around));
+      if (i < 0) throw new ViewerError(404, 'not on the leaderboard');
+      start = i - Math.floor(n / 2);
+    } else if (rank !== undefined) {
+      start = checkInteger(rank, 'rank', 1) - 1 - Math.floor(n / 2);
+    } else {
+      start = checkInteger(offset, 'offset', 0);
+    }
+    if (around !== undefined || rank !== undefined) start = Math.min(start, players - n);
+    start = Math.max(0, start);
+    return {
+      players,
+      season: seasons.current(),
+      offset: start,
+      limit: n,
+      prev: start > 0 ? Math.max(0, start - n) : null,
+      next: start + n < players ? start + n : null,
+      entries: board.entries.slice(start, start + n)
+    };
+  }
+
+  return { profile, slice };
+}
+
+module.exports = { createViewers, ViewerError };
@@ -0,0 +1,30 @@
+/* eslint-disable no-console */
+// Local receiver for trying out the relay's webhooks (webhooks.js): logs every
+// delivery and whether its signature checks out. Point a webhook at
+// http://localhost:9100/ and set WEBHOOK_SECRET to its secret. To watch
+// retries and dead letters, add ?status=500 (or any status) to the URL.
+//
+//   WEBHOOK_SECRET=<secret> RECEIVER_PORT=9100 node webhookReceiver.js
+const express = require('express');
+const { verifySignature } = require('./webhooks');
+
+const port = Number(process.env.RECEIVER_PORT || 9100);
+const secret = process.env.WEBHOOK_SECRET || '';
+
+const app = express();
+app.use(express.text({ type: '*/*', limit: '1mb' }));
+
+let received = 0;
+app.post('*', (req, res) => {
+  received++;
+  const headers = { signature: req.get('x-plinkoo-signature'), timestamp: req.get('x-plinkoo-timestamp') };
+  const signed = secret ? (verifySignature(secret, headers, req.body) ? 'valid' : 'INVALID') : 'not checked';
+  const status = Number(req.query.status) || 200;
+  console.log(`#${received} ${req.get('x-plinkoo-event')} delivery ${req.get('x-plinkoo-delivery')} (signature ${signed}) -> ${status}`);
+  console.log(`  ${req.body}`);
+  res.status(status).json({ ok: status < 400 });
+});
+
+app.listen(port, () => {
+  console.log(`Webhook receiver on http://localhost:${port}/${secret ? '' : ' (set WEBHOOK_SECRET to check signatures)'}`);
+});
@@ -0,0 +1,288 @@
+/* eslint-disable no-console */
+// Outbound webhooks (one set per room). Admins register endpoints that are
+// POSTed a JSON body when something they subscribed to happens:
+//   webhooks/<id>: { id, name, url, events: [type | '*'], filter, template,
+//                    secret, enabled, createdAt, createdBy, updatedAt }
+// Types: jackpot (a ball in the top slot), redemption (fulfilled), milestone
+// (a viewer's score passing one of the milestones), season (closed) and test.
+// `filter` narrows by the event's fields, e.g. { "tier": ["t3"] }; a field
+// the event doesn't have doesn't filter it.
+//
+// The body is { type, room, at, data } unless the hook has a `template`: any
+// JSON where "{{field}}" is replaced by the event's field (type, room, at and
+// the data's own, dotted paths allowed); a string that is only a placeholder
+// keeps the value's type. Every request is signed:
+//   X-Plinkoo-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//   X-Plinkoo-Timestamp, X-Plinkoo-Event, X-Plinkoo-Delivery
+// Failed deliveries (network errors, timeouts, 429 and 5xx) are retried with
+// jittered exponential backoff; other 4xx and the last failed attempt go to
+//   webhookDeadLetters/<push id>: { webhookId, name, url, type, body,
+//                                   attempts, lastStatus, lastError, at }
+// where an admin can retry or drop them. Retries waiting in memory are lost
+// if the relay restarts before they run.
+const crypto = require('crypto');
+
+const EVENT_TYPES = ['jackpot', 'redemption', 'milestone', 'season', 'test'];
+const NAME_MAX = 60;
+const RETRY = { attempts: 5, baseMs: 1000, maxMs: 60000 };
+
+class WebhookError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// For a receiver: true if the headers match the body and the secret.
+function verifySignature(secret, { signature, timestamp }, body) {
+  const expected = Buffer.from(`sha256=${sign(secret, timestamp, body)}`);
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function lookup(context, path) {
+  return path.split('.').reduce((v, k) => (v === undefined || v === null ? undefined : v[k]), context);
+}
+
+function render(template, context) {
+  if (typeof template === 'string') {
+    const whole = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+    if (whole) {
+      const value = lookup(context, whole[1]);
+      return value === undefined ? null : value;
+    }
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+      const value = lookup(context, path);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) return template.map(t => render(t, context));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([k, v]) => [k, render(v, context)]));
+  }
+  return template;
+}
+
+// A hook from an admin request (an update is merged over the stored hook).
+function validateWebhook(body) {
+  const b = body || {};
+  const name = typeof b.name === 'string' ? b.name.trim() : '';
+  if (!name || name.length > NAME_MAX) throw new WebhookError(400, `name must be 1-${NAME_MAX} characters`);
+  let url;
+  try {
+    url = new URL(String(b.url || ''));
+  } catch (e) {
+    throw new WebhookError(400, 'url must be an http(s) URL');
+  }
+  if (!/^https?:$/.test(url.protocol)) throw new WebhookError(400, 'url must be an http(s) URL');
+  const events = b.events === undefined ? ['*'] : b.events;
+  if (!Array.isArray(events) || !events.length || events.some(e => e !== '*' && !EVENT_TYPES.includes(e))) {
+    throw new WebhookError(400, `events must be a list of ${EVENT_TYPES.join(', ')} or *`);
+  }
+  const filter = b.filter === undefined || b.filter === null ? null : b.filter;
+  if (filter !== null) {
+    const ok = typeof filter === 'object' && !Array.isArray(filter)
+      && Object.values(filter).every(v => Array.isArray(v) && v.every(x => ['string', 'number', 'boolean'].includes(typeof x)));
+    if (!ok) throw new WebhookError(400, 'filter must map fields to lists of allowed values');
+  }
+  const template = b.template === undefined || b.template === null ? null : b.template;
+  if (template !== null && (typeof template !== 'object' || JSON.stringify(template).length > 8000)) {
+    throw new WebhookError(400, 'template must be a JSON object or array (at most 8000 characters)');
+  }
+  if (b.secret !== undefined && (typeof b.secret !== 'string' || b.secret.length < 16)) {
+    throw new WebhookError(400, 'secret must be at least 16 characters');
+  }
+  const enabled = b.enabled === undefined ? true : b.enabled;
+  if (typeof enabled !== 'boolean') throw new WebhookError(400, 'enabled must be a boolean');
+  return { name, url: url.toString(), events: [...new Set(events)], filter, template, secret: b.secret, enabled };
+}
+
+// Admin views never show the whole secret.
+const redact = hook => ({ ...hook, secret: hook.secret ? `…${hook.secret.slice(-4)}` : null });
+
+// `count(labels)` counts deliveries by type and result (delivered, retried,
+// dead). `fetch` is injectable for tests.
+function createWebhooks({ store, room, count = () => {}, fetch: fetchImpl = fetch, retry = RETRY, timeoutMs = 5000, timestamp = () => Date.now() }) {
+  const hooks = new Map(); // id -> hook
+  const timers = new Set();
+  const stats = { delivered: 0, retried: 0, dead: 0 };
+
+  async function load() {
+    const stored = await store.webhooks.all();
+    hooks.clear();
+    for (const [id, hook] of Object.entries(stored)) {
+      if (hook) hooks.set(id, { ...hook, id });
+    }
+  }
+
+  // One POST; resolves to { ok, status, error, retryable }.
+  async function post(hook, type, body, deliveryId) {
+    const ts = String(timestamp());
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetchImpl(hook.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'user-agent': 'Plinkoo-Webhooks',
+          'x-plinkoo-event': type,
+          'x-plinkoo-delivery': deliveryId,
+          'x-plinkoo-timestamp': ts,
+          'x-plinkoo-signature': `sha256=${sign(hook.secret, ts, body)}`
+        },
+        body,
+        signal: controller.signal
+      });
+      const retryable = res.status === 429 || res.status >= 500;
+      return { ok: res.ok, status: res.status, error: res.ok ? null : `HTTP ${res.status}`, retryable };
+    } catch (e) {
+      return { ok: false, status: null, error: e.name === 'AbortError' ? 'timeout' : e.message, retryable: true };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  const backoff = attempt => Math.min(retry.maxMs, retry.baseMs * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+
+  async function deadLetter(hook, type, body, attempts, result) {
+    stats.dead++;
+    count({ type, result: 'dead' });
+    console.warn(`Webhook ${hook.name} gave up on ${type} after ${attempts} attempts: ${result.error}`);
+    await store.webhookDeadLetters.push({
+      webhookId: hook.id,
+      name: hook.name,
+      url: hook.url,
+      type,
+      body,
+      attempts,
+      lastStatus: result.status,
+      lastError: result.error,
+      at: timestamp()
+    }).catch(e => console.error('storing webhook dead letter failed', e));
+  }
+
+  // Resolves to the first attempt's result; retries carry on in the background.
+  async function deliver(hook, type, body, deliveryId = crypto.randomUUID()) {
+    const attemptOnce = async attempt => {
+      const current = hooks.get(hook.id) || hook;
+      const result = await post(current, type, body, deliveryId);
+      if (result.ok) {
+        stats.delivered++;
+        count({ type, result: 'delivered' });
+      } else if (result.retryable && attempt < retry.attempts) {
+        stats.retried++;
+        count({ type, result: 'retried' });
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          attemptOnce(attempt + 1).catch(e => console.error('webhook retry failed', e));
+        }, backoff(attempt));
+        timers.add(timer);
+      } else {
+        await deadLetter(current, type, body, attempt, result);
+      }
+      return { ...result, attempt };
+    };
+    return attemptOnce(1);
+  }
+
+  const matches = (hook, type, data) => hook.enabled
+    && (hook.events.includes(type) || (hook.events.includes('*') && type !== 'test'))
+    && Object.entries(hook.filter || {}).every(([field, allowed]) => !(field in data) || allowed.includes(data[field]));
+
+  function bodyFor(hook, type, data) {
+    const at = timestamp();
+    return JSON.stringify(hook.template ? render(hook.template, { ...data, type, room, at }) : { type, room, at, data });
+  }
+
+  // Fire and forget: sends `type` to every hook subscribed to it.
+  function notify(type, data = {}) {
+    for (const hook of hooks.values()) {
+      if (!matches(hook, type, data)) continue;
+      deliver(hook, type, bodyFor(hook, type, data)).catch(e => console.error(`webhook ${hook.name} failed`, e));
+    }
+  }
+
+  async function create(body, by = 'admin') {
+    const fields = validateWebhook(body);
+    const id = store.webhooks.newId();
+    const now = timestamp();
+    const hook = { id, ...fields, secret: fields.secret || crypto.randomBytes(24).toString('hex'), createdAt: now, createdBy: by, updatedAt: now };
+    await store.webhooks.set(id, hook);
+    hooks.set(id, hook);
+    return hook; // the only time the secret is shown in full
+  }
+
+  async function update(id, patch) {
+    const current = hooks.get(id);
+    if (!current) throw new WebhookError(404, 'no such webhook');
+    const p = { ...(patch || {}) };
+    // The redacted secret from a listing isn't a new secret.
+    if (p.secret === redact(current).secret) delete p.secret;
+    const fields = validateWebhook({ ...current, ...p });
+    const hook = { ...current, ...fields, secret: fields.secret || current.secret, updatedAt: timestamp() };
+    await store.webhooks.set(id, hook);
+    hooks.set(id, hook);
+    return redact(hook);
+  }
+
+  async function remove(id) {
+    if (!hooks.has(id)) throw new WebhookError(404, 'no such webhook');
+    await store.webhooks.remove(id);
+    hooks.delete(id);
+    return { id };
+  }
+
+  // Sends a test event to one hook, whatever it subscribes to.
+  async function test(id) {
+    const hook = hooks.get(id);
+    if (!hook) throw new WebhookError(404, 'no such webhook');
+    const data = { message: `Test from Plinkoo (${room})`, username: 'tester', points: 1600, tier: 't3' };
+    return deliver(hook, 'test', bodyFor(hook, 'test', data));
+  }
+
+  async function deadLetters({ limit = 50 } = {}) {
+    const rows = await store.webhookDeadLetters.query({ last: limit });
+    return rows.map(([id, d]) => ({ id, ...d })).reverse();
+  }
+
+  // Sends a dead letter again with a fresh set of attempts; it's removed
+  // now, and comes back as a new dead letter if those fail too.
+  async function retryDead(id) {
+    const letter = await store.webhookDeadLetters.get(id);
+    if (!letter) throw new WebhookError(404, 'no such dead letter');
+    const hook = hooks.get(letter.webhookId);
+    if (!hook) throw new WebhookError(409, 'its webhook was removed');
+    await store.webhookDeadLetters.remove(id);
+    return deliver(hook, letter.type, letter.body);
+  }
+
+  async function removeDead(id) {
+    if (!(await store.webhookDeadLetters.get(id))) throw new WebhookError(404, 'no such dead letter');
+    await store.webhookDeadLetters.remove(id);
+    return { id };
+  }
+
+  return {
+    load,
+    notify,
+    create,
+    update,
+    remove,
+    test,
+    deadLetters,
+    retryDead,
+    removeDead,
+    list: () => [...hooks.values()].sort((a, b) => a.createdAt - b.createdAt).map(redact),
+    stop() {
+      timers.forEach(clearTimeout);
+      timers.clear();
+    },
+    status: () => ({ hooks: hooks.size, pendingRetries: timers.size, ...stats })
+  };
+}
+
+module.exports = { createWebhooks, verifySignature, render, validateWebhook, WebhookError, EVENT_TYPES };